@@ -3,34 +3,78 @@
 import { Args, Command, Options } from "@effect/cli";
 import { BunContext, BunRuntime } from "@effect/platform-bun";
 import { generatePKCE } from "@openauthjs/openauth/pkce";
-import { readFileSync, writeFileSync, existsSync, copyFileSync, renameSync, mkdirSync } from "fs";
+import { randomBytes } from "crypto";
+import { readFileSync, writeFileSync, existsSync, copyFileSync, mkdirSync } from "fs";
+import { createServer } from "http";
 import { homedir } from "os";
 import { dirname, join } from "path";
 import * as readline from "readline";
 import { Effect, Option } from "effect";
-
-const CLIENT_ID = "9d1c250a-e61b-44d9-88ed-5944d1962f5e";
-const CONFIG_DIR = join(homedir(), ".config/opencode");
-const MULTI_AUTH_FILE = join(CONFIG_DIR, "anthropic-multi-account-accounts.json");
-const LEGACY_MULTI_AUTH_FILE_CONFIG = join(CONFIG_DIR, "anthropic-multi-accounts.json");
-const LEGACY_MULTI_AUTH_FILE = join(homedir(), ".local/share/opencode/multi-account-auth.json");
-const STATE_FILE = join(CONFIG_DIR, "anthropic-multi-account-state.json");
-const LEGACY_STATE_FILE = join(homedir(), ".local/share/opencode/multi-account-state.json");
+import {
+  configure,
+  recordResponse,
+  CLIENT_ID,
+  AUTH_FILE,
+  MULTI_AUTH_FILE,
+  LEGACY_MULTI_AUTH_FILE_CONFIG,
+  LEGACY_MULTI_AUTH_FILE,
+  STATE_FILE,
+  LEGACY_STATE_FILE,
+  HISTORY_FILE,
+  EVENT_LOG_FILE,
+  EVENT_LOG_ROTATIONS,
+  KEY_FILE,
+  PASSPHRASE_ENV,
+  KEY_FILE_ENV,
+  METRIC_KEYS,
+  METRICS_HOST,
+  isPlainObject,
+  normalizeAccountFields,
+  normalizeMultiAuthShape,
+  safeReadJSON,
+  safeWriteJSON,
+  withFileLock,
+  rememberLoaded,
+  isSame,
+  isEncrypted,
+  getEncryptionSecret,
+  encryptJSON,
+  decryptJSON,
+  readMultiAuthFile,
+  saveMultiAuth,
+  getState,
+  saveState,
+  normalizeThresholds,
+  normalizeRecover,
+  getAccountThresholds,
+  projectExhaustion,
+  logEvent,
+  renderMetrics,
+  ensureAllAccountsInState,
+  resolveStaleMetrics,
+  getOverflowStatus,
+  getActivePin,
+  isExcluded,
+  planThresholdAccount,
+  setCurrentAccount,
+  buildStatus,
+  readSingleAccount,
+  persistSingleAccountTokens,
+  SINGLE_ACCOUNT_STORE,
+  ensureFreshAccountToken,
+} from "./core.mjs";
+
+const CLAUDE_CODE_CREDENTIALS_FILE = join(homedir(), ".claude/.credentials.json");
 
 const DEFAULTS = { threshold: 0.70, checkInterval: 3600000 };
+const MODEL_FAMILIES = ['opus', 'sonnet', 'haiku'] as const;
+const STRATEGIES = ['primary-first', 'weighted', 'least-utilized', 'round-robin'] as const;
 
 type PerMetric = { session5h: number; weekly7d: number; weekly7dSonnet: number };
 
-function normalizeThresholds(value: any, fallback: number): PerMetric {
-  if (typeof value === 'number') return { session5h: value, weekly7d: value, weekly7dSonnet: value };
-  if (typeof value === 'object' && value !== null) {
-    return {
-      session5h: value.session5h ?? fallback,
-      weekly7d: value.weekly7d ?? fallback,
-      weekly7dSonnet: value.weekly7dSonnet ?? fallback
-    };
-  }
-  return { session5h: fallback, weekly7d: fallback, weekly7dSonnet: fallback };
+function formatPerMetric(pm: PerMetric): string {
+  if (allSame(pm)) return `${Math.round(pm.session5h * 100)}%`;
+  return `${Math.round(pm.session5h * 100)}/${Math.round(pm.weekly7d * 100)}/${Math.round(pm.weekly7dSonnet * 100)}%`;
 }
 
 function allSame(pm: PerMetric): boolean {
@@ -38,130 +82,65 @@ function allSame(pm: PerMetric): boolean {
 }
 
 // ============================================================================
-// File helpers (atomic write + backup fallback)
+// Accounts and state (files, locking and merging live in core.mjs)
 // ============================================================================
 
-function safeReadJSON<T>(filePath: string, fallback: T): T {
-  for (const path of [filePath, filePath + '.bak']) {
-    if (!existsSync(path)) continue;
-    try {
-      const data = JSON.parse(readFileSync(path, "utf-8"));
-      if (path.endsWith('.bak')) {
-        console.log(`[multi-account] Recovered ${filePath} from backup`);
-      }
-      return data;
-    } catch {
-      continue;
-    }
-  }
-  return fallback;
-}
-
-function safeWriteJSON(filePath: string, data: any) {
-  try {
-    mkdirSync(dirname(filePath), { recursive: true });
-    if (existsSync(filePath)) {
-      copyFileSync(filePath, filePath + '.bak');
-    }
-    const tmp = filePath + '.tmp';
-    writeFileSync(tmp, JSON.stringify(data, null, 2));
-    renameSync(tmp, filePath);
-  } catch (e) {
-    console.error(`[multi-account] Failed to save ${filePath}:`, e);
-  }
+function loadAccounts() {
+  return loadMultiAuth().accounts || [];
 }
 
-function readWithFallback<T>(paths: string[], fallback: T): { data: T; source: string | null } {
-  for (const p of paths) {
-    const data = safeReadJSON<T | null>(p, null as T | null);
-    if (data !== null) return { data: data as T, source: p };
-  }
-  return { data: fallback, source: null };
+// What the plugin uses: the accounts file, or OpenCode's own login in single-account mode
+function loadActiveAccounts(): any[] {
+  const accounts = loadAccounts();
+  if (accounts.length) return accounts;
+  const single = readSingleAccount();
+  return single ? [single] : [];
 }
 
-function normalizeAccountFields(account: any): any {
-  if (!account || typeof account !== "object") {
-    return account;
-  }
-
-  const normalized = { ...account };
-  let changed = false;
-
-  if ((!normalized.access || typeof normalized.access !== "string") && typeof normalized.accessToken === "string") {
-    normalized.access = normalized.accessToken;
-    changed = true;
-  }
-
-  if ((!normalized.refresh || typeof normalized.refresh !== "string") && typeof normalized.refreshToken === "string") {
-    normalized.refresh = normalized.refreshToken;
-    changed = true;
-  }
-
-  if (typeof normalized.expires !== "number") {
-    if (typeof normalized.expiresAt === "number" && Number.isFinite(normalized.expiresAt)) {
-      normalized.expires = normalized.expiresAt;
-      changed = true;
-    } else if (typeof normalized.expiresAt === "string") {
-      const parsed = Date.parse(normalized.expiresAt);
-      if (Number.isFinite(parsed)) {
-        normalized.expires = parsed;
-        changed = true;
-      }
+// Unlike the plugin, the CLI reads only the first accounts file that exists (a legacy copy
+// is migrated, not merged, so removals stick) and fails loudly when it cannot be decrypted
+function loadMultiAuth(): any {
+  let data: any = { accounts: [] };
+  let source: string | null = null;
+  for (const p of [MULTI_AUTH_FILE, LEGACY_MULTI_AUTH_FILE_CONFIG, LEGACY_MULTI_AUTH_FILE]) {
+    const candidate = readMultiAuthFile(p, true);
+    if (candidate !== null) {
+      data = candidate;
+      source = p;
+      break;
     }
   }
-
-  return changed ? normalized : account;
-}
-
-function normalizeMultiAuthShape(multiAuth: any): { value: any; changed: boolean } {
-  if (!multiAuth || typeof multiAuth !== "object" || !Array.isArray(multiAuth.accounts)) {
-    return { value: multiAuth, changed: false };
-  }
-
-  let changed = false;
-  const accounts = multiAuth.accounts.map((account: any) => {
-    const normalized = normalizeAccountFields(account);
-    if (normalized !== account) changed = true;
-    return normalized;
-  });
-
-  if (!changed) {
-    return { value: multiAuth, changed: false };
-  }
-
-  return { value: { ...multiAuth, accounts }, changed: true };
-}
-
-function loadAccounts() {
-  return loadMultiAuth().accounts || [];
-}
-
-function loadMultiAuth(): any {
-  const { data, source } = readWithFallback(
-    [MULTI_AUTH_FILE, LEGACY_MULTI_AUTH_FILE_CONFIG, LEGACY_MULTI_AUTH_FILE],
-    { accounts: [] }
-  );
   const normalized = normalizeMultiAuthShape(data);
   if ((source === LEGACY_MULTI_AUTH_FILE_CONFIG || source === LEGACY_MULTI_AUTH_FILE || normalized.changed) && normalized.value) {
-    saveMultiAuth(normalized.value);
+    saveInBackground(saveMultiAuth(normalized.value), MULTI_AUTH_FILE);
   }
-  return normalized.value;
+  return rememberLoaded(normalized.value);
 }
 
-function saveMultiAuth(data: any) {
-  safeWriteJSON(MULTI_AUTH_FILE, data);
+// A save that was skipped (lock still held) or failed: say so and make the run exit non-zero
+function reportNotSaved(file: string) {
+  console.error(`❌ Could not write ${file}; the change was not saved`);
+  process.exitCode = 1;
 }
 
-function loadState(): any {
-  const { data, source } = readWithFallback([STATE_FILE, LEGACY_STATE_FILE], {});
-  if (source === LEGACY_STATE_FILE) {
-    saveState(data);
-  }
-  return data;
+// Await a save before reporting success; false (after reporting) when it was not written
+async function saved(save: Promise<boolean>, file: string): Promise<boolean> {
+  if (await save) return true;
+  reportNotSaved(file);
+  return false;
 }
 
-function saveState(state: any) {
-  safeWriteJSON(STATE_FILE, state);
+// Housekeeping saves made while loading (legacy migration, stale metrics) run in the
+// background; the run waits for them before it exits and still fails when one is skipped
+const backgroundSaves = new Set<Promise<boolean>>();
+
+function saveInBackground(save: Promise<boolean>, file: string) {
+  const tracked = save.then((written) => {
+    backgroundSaves.delete(tracked);
+    if (!written) reportNotSaved(file);
+    return written;
+  });
+  backgroundSaves.add(tracked);
 }
 
 // ============================================================================
@@ -182,42 +161,19 @@ function formatResetTime(ts: number | null): string {
   }).format(new Date(ts * 1000));
 }
 
-const EMPTY_USAGE = {
-  session5h: { utilization: 0, reset: null, status: 'allowed' },
-  weekly7d: { utilization: 0, reset: null, status: 'allowed' },
-  weekly7dSonnet: { utilization: 0, reset: null, status: 'allowed' },
-  timestamp: null
-};
-
-function ensureAllAccountsInState(accounts: any[], state: any): boolean {
-  if (!accounts?.length) return false;
-  state.usage = state.usage || {};
-  let changed = false;
-  for (const account of accounts) {
-    if (!state.usage[account.name]) {
-      state.usage[account.name] = structuredClone(EMPTY_USAGE);
-      changed = true;
-    }
-  }
-  return changed;
+// Dashboard suffix for a non-default status header
+function formatStatusLabel(status: string | undefined): string {
+  if (status === 'rejected') return '  \x1b[1;31m⛔ rejected\x1b[0m';
+  if (status === 'allowed_warning') return '  \x1b[33m⚠ warning\x1b[0m';
+  return '';
 }
 
-function resolveStaleMetrics(state: any): boolean {
-  const usage = state.usage;
-  if (!usage) return false;
-  const now = Date.now();
-  let changed = false;
-  for (const accountName of Object.keys(usage)) {
-    for (const key of ['session5h', 'weekly7d', 'weekly7dSonnet'] as const) {
-      const metric = usage[accountName]?.[key];
-      if (metric?.reset && metric.reset * 1000 < now && metric.utilization > 0) {
-        metric.utilization = 0;
-        metric.status = 'allowed';
-        changed = true;
-      }
-    }
+function formatProjection(exhaustsAt: number | null, reset: number | null): string | null {
+  if (exhaustsAt === null) return null;
+  if (exhaustsAt === Infinity || (reset && exhaustsAt > reset * 1000)) {
+    return '\x1b[2mOn pace to last until reset\x1b[0m';
   }
-  return changed;
+  return `\x1b[33mProjected 100% at ${formatResetTime(Math.floor(exhaustsAt / 1000))}\x1b[0m`;
 }
 
 function colorize(text: string, util: number): string {
@@ -226,17 +182,30 @@ function colorize(text: string, util: number): string {
   return `\x1b[32m${text}\x1b[0m`;
 }
 
-function renderUsage(watch: boolean) {
-  const accounts = loadAccounts();
-  const state = loadState();
-  const config = state.config || {};
-  
+function formatTokens(count: number | undefined): string {
+  const n = count || 0;
+  if (n >= 1e9) return `${(n / 1e9).toFixed(1)}B`;
+  if (n >= 1e6) return `${(n / 1e6).toFixed(1)}M`;
+  if (n >= 1e3) return `${(n / 1e3).toFixed(1)}k`;
+  return String(n);
+}
+
+// Accounts and state with new accounts added and stale metrics resolved (and saved)
+function loadUsageSnapshot(log: (line: string) => void = console.log): { accounts: any[]; state: any } {
+  const accounts = loadActiveAccounts();
+  const state = getState();
   const accountsChanged = ensureAllAccountsInState(accounts, state);
   const staleResolved = resolveStaleMetrics(state);
   if (accountsChanged || staleResolved) {
-    autoEvaluate(state);
-    saveState(state);
+    autoEvaluate(state, log);
+    saveInBackground(saveState(state), STATE_FILE);
   }
+  return { accounts, state };
+}
+
+function renderUsage(watch: boolean) {
+  const { accounts, state } = loadUsageSnapshot();
+  const config = state.config || {};
   
   if (watch) process.stdout.write('\x1b[2J\x1b[H');
   
@@ -248,13 +217,27 @@ function renderUsage(watch: boolean) {
     console.log("\n  No accounts configured. Run: bun src/cli.ts add <name>\n");
     return;
   }
+  if (!loadAccounts().length) {
+    console.log(`\n  \x1b[2mSingle-account mode (OpenCode's login). To add accounts: bun src/cli.ts import opencode, then add <name>\x1b[0m`);
+  }
+
+  const overrides = describeOverrides(state);
+  if (overrides.length) console.log('\n' + overrides.map((line) => `  ${line}`).join('\n'));
 
   for (const account of accounts) {
     const isActive = state.currentAccount === account.name;
     const c = isActive ? '\x1b[1;36m' : '';
     const r = isActive ? '\x1b[0m' : '';
     
-    console.log(isActive ? `\n${c}┌─ ${account.name} ◄── ACTIVE${r}` : `\n┌─ ${account.name}`);
+    const meta = [
+      account.tier ? `${account.tier}` : null,
+      typeof account.reserve === 'number' ? `reserve ${Math.round(account.reserve * 100)}%` : null,
+    ].filter(Boolean).join(', ');
+    const overrideLabel = getActivePin(state)?.account === account.name
+      ? '  \x1b[1;35m📌 PINNED\x1b[0m'
+      : isExcluded(state, account.name) ? '  \x1b[2;31m⛔ EXCLUDED\x1b[0m' : '';
+    const metaLabel = (meta ? `  \x1b[2m[${meta}]\x1b[0m` : '') + overrideLabel;
+    console.log(isActive ? `\n${c}┌─ ${account.name} ◄── ACTIVE${r}${metaLabel}` : `\n┌─ ${account.name}${metaLabel}`);
     
     const usage = state.usage?.[account.name];
     if (!usage) {
@@ -263,20 +246,54 @@ function renderUsage(watch: boolean) {
       continue;
     }
     
-    const t = normalizeThresholds(config.threshold, DEFAULTS.threshold);
-    const thresholdMap = { session5h: t.session5h, weekly7d: t.weekly7d, weekly7dSonnet: t.weekly7dSonnet } as const;
+    const thresholdMap = getAccountThresholds(account, config);
+
+    if (usage.unified) {
+      const window = usage.unified.claim ? ` \x1b[2m(${usage.unified.claim})\x1b[0m` : '';
+      const label = formatStatusLabel(usage.unified.status).trim() || `\x1b[32m✓ ${usage.unified.status}\x1b[0m`;
+      console.log(`${c}│${r}`);
+      console.log(`${c}│${r}  Overall  ${label}${window}${usage.unified.status !== 'allowed' && usage.unified.reset ? `  resets ${formatResetTime(usage.unified.reset)}` : ''}`);
+    }
     
     for (const [label, key] of [['Session (5h)', 'session5h'], ['Weekly (all)', 'weekly7d'], ['Weekly (Sonnet)', 'weekly7dSonnet']] as const) {
       const u = usage[key]?.utilization || 0;
       const th = thresholdMap[key];
       const thLabel = `\x1b[2m(threshold ${Math.round(th * 100)}%)\x1b[0m`;
       console.log(`${c}│${r}`);
-      console.log(`${c}│${r}  ${label}  ${thLabel}`);
+      console.log(`${c}│${r}  ${label}  ${thLabel}${formatStatusLabel(usage[key]?.status)}`);
       console.log(`${c}│${r}  ${colorize(progressBar(u), u)}  ${colorize(`${Math.round(u * 100)}%`, u)}`);
       console.log(`${c}│${r}  Resets ${formatResetTime(usage[key]?.reset)}`);
+      const projection = formatProjection(projectExhaustion(state.burn?.[account.name]?.[key], key, u), usage[key]?.reset ?? null);
+      if (projection) console.log(`${c}│${r}  ${projection}`);
+    }
+    const tokenRows = Object.entries(state.tokens?.[account.name] || {}) as [string, any][];
+    if (tokenRows.length) {
+      const width = Math.max(...tokenRows.map(([model]) => model.length));
+      console.log(`${c}│${r}`);
+      console.log(`${c}│${r}  Tokens  \x1b[2m(in / out / cache read / cache write)\x1b[0m`);
+      for (const [model, t] of tokenRows) {
+        const counts = [t.input, t.output, t.cacheRead, t.cacheWrite].map(formatTokens).join(' / ');
+        console.log(`${c}│${r}  ${model.padEnd(width)}  ${counts}  \x1b[2m${t.requests} req\x1b[0m`);
+      }
     }
     console.log(`${c}└─${r}`);
   }
+
+  const overflowKey = loadMultiAuth().overflow?.key;
+  const overflow = getOverflowStatus(state);
+  if (overflowKey || overflow) {
+    const { dailyCap, spentToday, requestsToday, spent7d } = overflow ?? { dailyCap: null, spentToday: 0, requestsToday: 0, spent7d: 0 };
+    const label = !overflowKey ? 'no API key' : dailyCap ? `cap $${dailyCap.toFixed(2)}/day` : 'off: no daily cap';
+    console.log(`\n┌─ overflow API key  \x1b[2m[${label}]\x1b[0m`);
+    console.log('│');
+    console.log(`│  Today  $${spentToday.toFixed(2)}${dailyCap ? ` of $${dailyCap.toFixed(2)}` : ''}  \x1b[2m${requestsToday} req\x1b[0m`);
+    if (dailyCap) {
+      const u = Math.min(spentToday / dailyCap, 1);
+      console.log(`│  ${colorize(progressBar(u), u)}  ${colorize(`${Math.round(u * 100)}%`, u)}`);
+    }
+    console.log(`│  Last 7 days  $${spent7d.toFixed(2)}`);
+    console.log('└─');
+  }
   
   console.log('');
   
@@ -287,16 +304,501 @@ function renderUsage(watch: boolean) {
 
 function cmdUsage(args: string[]) {
   const watch = args.includes('--watch') || args.includes('-w');
+  if (args.includes('--json')) {
+    // With --watch: one compact JSON line per refresh (e.g. for a waybar continuous module)
+    const print = () => {
+      const { accounts, state } = loadUsageSnapshot(() => {});
+      const status = buildStatus(accounts, state);
+      console.log(watch ? JSON.stringify(status) : JSON.stringify(status, null, 2));
+    };
+    print();
+    if (watch) setInterval(print, 5000);
+    return;
+  }
   renderUsage(watch);
   if (watch) setInterval(() => renderUsage(true), 5000);
 }
 
+// ============================================================================
+// Machine-readable status (usage --json, status --format)
+// ============================================================================
+
+const DEFAULT_STATUS_FORMAT = '{active} {session5h}%/{weekly7d}%';
+
+function formatDuration(seconds: number | null): string {
+  if (seconds === null) return '?';
+  const d = Math.floor(seconds / 86400);
+  const h = Math.floor((seconds % 86400) / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  if (d) return `${d}d${h}h`;
+  if (h) return `${h}h${m}m`;
+  return `${m}m`;
+}
+
+// Template fields for one account: name, state, headroom, <metric>, <metric>_reset, <metric>_threshold
+function statusFields(account: any): Record<string, string> {
+  const fields: Record<string, string> = {
+    name: account.name,
+    state: account.state,
+    headroom: String(account.headroom),
+    tier: account.tier ?? '',
+  };
+  for (const key of METRIC_KEYS) {
+    const metric = account.metrics[key];
+    fields[key] = String(metric.percent);
+    fields[`${key}_reset`] = formatDuration(metric.resetIn);
+    fields[`${key}_threshold`] = String(Math.round(metric.threshold * 100));
+  }
+  return fields;
+}
+
+/**
+ * Fill a template: {active} and {strategy}, the active account's fields ({session5h},
+ * {session5h_reset}, {headroom}, {state}, ...), and any account's as {<account>.<field>}.
+ */
+function formatStatus(status: ReturnType<typeof buildStatus>, template: string): string {
+  const active = status.accounts.find((account) => account.active) ?? status.accounts[0];
+  const fields: Record<string, string> = {
+    ...(active ? statusFields(active) : {}),
+    active: status.active ?? '',
+    strategy: status.strategy,
+  };
+  for (const account of status.accounts) {
+    for (const [field, value] of Object.entries(statusFields(account))) {
+      fields[`${account.name}.${field}`] = value;
+    }
+  }
+  return template.replace(/\{([^{}]+)\}/g, (match, field) => fields[field] ?? match);
+}
+
+function cmdStatus(args: string[]) {
+  const formatIdx = args.indexOf('--format');
+  const template = formatIdx !== -1 ? args[formatIdx + 1] ?? DEFAULT_STATUS_FORMAT : DEFAULT_STATUS_FORMAT;
+  const { accounts, state } = loadUsageSnapshot(() => {});
+  if (!accounts.length) {
+    console.log('no accounts');
+    return;
+  }
+  console.log(formatStatus(buildStatus(accounts, state), template));
+}
+
+// ============================================================================
+// History command
+// ============================================================================
+
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+const HISTORY_WIDTH = 48;
+const HISTORY_METRICS = [['Session (5h)', 'session5h'], ['Weekly (all)', 'weekly7d'], ['Weekly (Sonnet)', 'weekly7dSonnet']] as const;
+
+// "90m", "24h", "7d" → milliseconds
+function parseDuration(text: string): number | null {
+  const match = /^(\d+(?:\.\d+)?)\s*([mhd])$/.exec(text.trim());
+  if (!match) return null;
+  const unit = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[match[2] as 'm' | 'h' | 'd'];
+  return parseFloat(match[1]) * unit;
+}
+
+function loadHistory(): any[] {
+  if (!existsSync(HISTORY_FILE)) return [];
+  const samples: any[] = [];
+  for (const line of readFileSync(HISTORY_FILE, "utf-8").split("\n")) {
+    try {
+      const sample = JSON.parse(line);
+      if (sample?.account && typeof sample.t === 'number') samples.push(sample);
+    } catch {
+      // partial or corrupt line
+    }
+  }
+  return samples.sort((a, b) => a.t - b.t);
+}
+
+/**
+ * Peak utilization per time bucket. The log only records changes, so a bucket without
+ * samples carries the previous value forward until that value's window resets.
+ */
+function bucketHistory(samples: any[], key: string, from: number, to: number): (number | null)[] {
+  const size = (to - from) / HISTORY_WIDTH;
+  const buckets: (number | null)[] = new Array(HISTORY_WIDTH).fill(null);
+  let last: { u: number; reset: number | null } | null = null;
+  let i = 0;
+  for (let b = 0; b < HISTORY_WIDTH; b++) {
+    const start = from + b * size;
+    const end = start + size;
+    if (last?.reset && last.reset * 1000 <= start) last = { u: 0, reset: null };
+    let peak = last ? last.u : null;
+    for (; i < samples.length && samples[i].t < end; i++) {
+      const u = samples[i].u?.[key];
+      if (typeof u !== 'number') continue;
+      last = { u, reset: samples[i].reset?.[key] ?? null };
+      if (samples[i].t >= start) peak = Math.max(peak ?? 0, u);
+      else peak = u;
+    }
+    buckets[b] = peak;
+  }
+  return buckets;
+}
+
+function sparkline(values: (number | null)[]): string {
+  return values.map((v) => {
+    if (v === null) return ' ';
+    const ch = SPARK_CHARS[Math.min(SPARK_CHARS.length - 1, Math.floor(Math.min(Math.max(v, 0), 1) * SPARK_CHARS.length))];
+    return colorize(ch, v);
+  }).join('');
+}
+
+function formatChartTime(ms: number, span: number): string {
+  const options: any = span > 24 * 60 * 60 * 1000
+    ? { month: 'short', day: 'numeric', hour: 'numeric' }
+    : { hour: 'numeric', minute: '2-digit' };
+  return new Intl.DateTimeFormat('default', options).format(new Date(ms));
+}
+
+function cmdHistory(args: string[]) {
+  const sinceIdx = args.indexOf('--since');
+  const sinceText = sinceIdx !== -1 ? args[sinceIdx + 1] : '24h';
+  const span = parseDuration(sinceText ?? '');
+  if (!span) {
+    console.log(`❌ Invalid --since value: ${sinceText} (use e.g. 90m, 24h, 7d)`);
+    return;
+  }
+  const accountIdx = args.indexOf('--account');
+  const accountFilter = accountIdx !== -1 ? args[accountIdx + 1] : null;
+
+  const to = Date.now();
+  const from = to - span;
+  const history = loadHistory();
+  const names = accountFilter
+    ? [accountFilter]
+    : [...new Set([...loadActiveAccounts().map((a: any) => a.name), ...history.map((s) => s.account)])];
+
+  console.log(`\n  Utilization history, last ${sinceText}\n`);
+  if (!history.length) {
+    console.log('  No history yet. Samples are recorded as the plugin sees rate limit headers.\n');
+    return;
+  }
+
+  const labelWidth = Math.max(...HISTORY_METRICS.map(([label]) => label.length));
+  const axis = `${formatChartTime(from, span)}`.padEnd(HISTORY_WIDTH - 3) + 'now';
+  for (const name of names) {
+    const samples = history.filter((s) => s.account === name);
+    console.log(`┌─ ${name}`);
+    if (!samples.length) {
+      console.log('│  No samples');
+      console.log('└─\n');
+      continue;
+    }
+    for (const [label, key] of HISTORY_METRICS) {
+      const values = bucketHistory(samples, key, from, to);
+      const known = values.filter((v): v is number => v !== null);
+      const summary = known.length
+        ? `now ${Math.round(known[known.length - 1] * 100)}% · peak ${Math.round(Math.max(...known) * 100)}%`
+        : 'no data';
+      console.log(`│  ${label.padEnd(labelWidth)}  ${sparkline(values)}  \x1b[2m${summary}\x1b[0m`);
+    }
+    console.log(`│  ${''.padEnd(labelWidth)}  \x1b[2m${axis}\x1b[0m`);
+    console.log('└─\n');
+  }
+}
+
+// ============================================================================
+// Events command
+// ============================================================================
+
+function loadEvents(): any[] {
+  const files = [];
+  for (let i = EVENT_LOG_ROTATIONS; i >= 1; i--) files.push(`${EVENT_LOG_FILE}.${i}`);
+  files.push(EVENT_LOG_FILE);
+  const events: any[] = [];
+  for (const file of files) {
+    if (!existsSync(file)) continue;
+    for (const line of readFileSync(file, "utf-8").split("\n")) {
+      try {
+        const event = JSON.parse(line);
+        if (event?.type && typeof event.t === 'number') events.push(event);
+      } catch {
+        // partial or corrupt line
+      }
+    }
+  }
+  return events;
+}
+
+function eventMatches(event: any, type: string | null, account: string | null, since: number | null): boolean {
+  if (type && event.type !== type) return false;
+  if (account && ![event.account, event.from, event.to].includes(account)) return false;
+  if (since && event.t < since) return false;
+  return true;
+}
+
+function describeEvent(event: any): string {
+  const pct = (v: number) => `${Math.round(v * 100)}%`;
+  const status = event.status ? ` (HTTP ${event.status})` : '';
+  switch (event.type) {
+    case 'switch': {
+      const metric = event.metric ? `: ${event.metric} at ${pct(event.value)}, threshold ${pct(event.threshold)}` : '';
+      const model = event.model ? ` [${event.model}]` : '';
+      return `${event.from} → ${event.to}  ${event.reason}${metric}${model}`;
+    }
+    case 'failover':
+      return `${event.from} → ${event.to}  ${event.reason}${status}`;
+    case 'refresh':
+      return `${event.account}  ${event.ok ? 'ok' : 'failed'}${status}${event.error ? `: ${event.error}` : ''}`;
+    case 'auth_failure':
+    case 'rate_limited': {
+      const until = event.until ? `, until ${new Date(event.until).toLocaleTimeString()}` : '';
+      return `${event.account}${status}${event.reason ? ` ${event.reason}` : ''}${until}`;
+    }
+    case 'affinity_broken':
+      return `${event.from}${event.to ? ` → ${event.to}` : ''}  conversation ${event.conversation}${event.reason ? `: ${event.reason}` : ''}`;
+    case 'overflow':
+      return `${event.from ? `${event.from} → ` : ''}API key  ${event.reason}${status}${event.model ? ` [${event.model}]` : ''}`;
+    case 'overflow_cap':
+      return `daily cap reached: $${event.spent} of $${event.cap}`;
+    default: {
+      const { t, type, ...rest } = event;
+      return JSON.stringify(rest);
+    }
+  }
+}
+
+function printEvent(event: any) {
+  const time = new Intl.DateTimeFormat('default', {
+    month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).format(new Date(event.t));
+  const source = event.source ? ` \x1b[2m(${event.source})\x1b[0m` : '';
+  console.log(`  \x1b[2m${time}\x1b[0m  ${event.type.padEnd(15)}  ${describeEvent(event)}${source}`);
+}
+
+function cmdEvents(args: string[]) {
+  const value = (flag: string) => {
+    const idx = args.indexOf(flag);
+    return idx !== -1 ? args[idx + 1] ?? null : null;
+  };
+  const type = value('--type');
+  const account = value('--account');
+  const sinceText = value('--since');
+  const limit = parseInt(value('--limit') ?? '50', 10);
+  const follow = args.includes('--follow') || args.includes('-f');
+
+  let since: number | null = null;
+  if (sinceText) {
+    const span = parseDuration(sinceText);
+    if (!span) {
+      console.log(`❌ Invalid --since value: ${sinceText} (use e.g. 90m, 24h, 7d)`);
+      return;
+    }
+    since = Date.now() - span;
+  }
+
+  const events = loadEvents().filter((event) => eventMatches(event, type, account, since));
+  if (!events.length && !follow) {
+    console.log('\n  No matching events.\n');
+    return;
+  }
+  for (const event of events.slice(-Math.max(limit, 1))) printEvent(event);
+  if (!follow) return;
+
+  // Tail: print events appended after the last one shown
+  let lastSeen = events.length ? events[events.length - 1].t : Date.now();
+  setInterval(() => {
+    for (const event of loadEvents()) {
+      if (event.t > lastSeen && eventMatches(event, type, account, since)) {
+        printEvent(event);
+        lastSeen = event.t;
+      }
+    }
+  }, 2000);
+}
+
+// ============================================================================
+// Metrics exporter (renderMetrics from core.mjs, as the plugin serves it)
+// ============================================================================
+
+const METRICS_DEFAULT_PORT = 9464;
+function cmdServeMetrics(args: string[]) {
+  const portIdx = args.indexOf('--port');
+  const port = portIdx !== -1 ? parseInt(args[portIdx + 1], 10) : (getState().config?.metricsPort ?? METRICS_DEFAULT_PORT);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    console.error('Usage: serve-metrics [--port <port>]');
+    return;
+  }
+
+  const server = createServer((req: any, res: any) => {
+    if (req.method !== "GET" || !req.url?.startsWith("/metrics")) {
+      res.writeHead(404).end();
+      return;
+    }
+    const openMetrics = (req.headers.accept || "").includes("application/openmetrics-text");
+    res.writeHead(200, {
+      "content-type": openMetrics
+        ? "application/openmetrics-text; version=1.0.0; charset=utf-8"
+        : "text/plain; version=0.0.4; charset=utf-8",
+    });
+    res.end(renderMetrics(getState(), loadActiveAccounts().map((a: any) => a.name), openMetrics));
+  });
+  server.on("error", (e: any) => {
+    console.error(e?.code === "EADDRINUSE"
+      ? `❌ Port ${port} is in use (the plugin may already serve metrics there)`
+      : `❌ Metrics server failed: ${e}`);
+    process.exit(1);
+  });
+  server.listen(port, METRICS_HOST, () => {
+    console.log(`✓ Serving metrics on http://${METRICS_HOST}:${port}/metrics  │  Ctrl+C to exit`);
+  });
+}
+
+// ============================================================================
+// Proxy server (serve): the plugin's fetch wrapper behind a local HTTP endpoint
+// ============================================================================
+
+const PROXY_DEFAULT_PORT = 8787;
+const PROXY_PATHS = new Set(["/v1/messages", "/v1/messages/count_tokens"]);
+const UPSTREAM_URL = "https://api.anthropic.com";
+const CLAUDE_CODE_SYSTEM_PREFIX = "You are Claude Code, Anthropic's official CLI for Claude.";
+// Hop-by-hop headers, plus ones that no longer match once fetch has decoded the body
+const PROXY_DROP_HEADERS = new Set(["host", "connection", "content-length", "transfer-encoding", "accept-encoding", "content-encoding", "keep-alive"]);
+
+// OpenCode adds this through the plugin's experimental.chat.system.transform hook; other clients do not
+function withClaudeCodeSystem(body: string): string {
+  try {
+    const parsed = JSON.parse(body);
+    const system = typeof parsed.system === "string" ? [{ type: "text", text: parsed.system }] : parsed.system ?? [];
+    if (Array.isArray(system) && system[0]?.text !== CLAUDE_CODE_SYSTEM_PREFIX) {
+      parsed.system = [{ type: "text", text: CLAUDE_CODE_SYSTEM_PREFIX }, ...system];
+    }
+    return JSON.stringify(parsed);
+  } catch {
+    return body;
+  }
+}
+
+// Resolves once the response can take more data, or the client is gone
+function waitForDrain(res: any): Promise<void> {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+}
+
+function proxyError(res: any, status: number, type: string, message: string) {
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+  res.writeHead(status, { "content-type": "application/json" });
+  res.end(JSON.stringify({ type: "error", error: { type, message } }));
+}
+
+async function cmdServe(port: number, host: string) {
+  if (!loadActiveAccounts().length) {
+    console.error("❌ No accounts configured. Run: bun src/cli.ts add <name>");
+    return;
+  }
+
+  // Same selection, refresh, failover, header rewriting and usage capture as inside OpenCode.
+  // OpenCode's auth file plays the OpenCode side: single-account mode reads and refreshes its login.
+  configure({ source: "proxy" });
+  const { AnthropicAuthPlugin } = await import("./index.mjs");
+  const client = { auth: { set: async ({ body }: any) => persistSingleAccountTokens(body) } };
+  const getAuth = async () => {
+    const auth = safeReadJSON(AUTH_FILE, null)?.anthropic;
+    return auth?.type === "oauth" ? auth : { type: "oauth" };
+  };
+  const plugin = await AnthropicAuthPlugin({ client });
+  const loaded = await plugin.auth.loader(getAuth, { models: {} });
+
+  async function forwardProxyRequest(req: any, res: any, path: string) {
+    const chunks: any[] = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const headers: Record<string, string> = {};
+    for (const [key, value] of Object.entries(req.headers) as [string, any][]) {
+      if (!PROXY_DROP_HEADERS.has(key)) headers[key] = Array.isArray(value) ? value.join(", ") : String(value);
+    }
+
+    let response: Response;
+    try {
+      response = await loaded.fetch(`${UPSTREAM_URL}${req.url}`, {
+        method: "POST",
+        headers,
+        body: withClaudeCodeSystem(Buffer.concat(chunks).toString("utf8")),
+      });
+    } catch (e: any) {
+      console.error(`  ${path}  ✗ ${e?.message ?? e}`);
+      proxyError(res, 502, "api_error", `multi-account proxy: ${e?.message ?? e}`);
+      return;
+    }
+
+    const responseHeaders: Record<string, string> = {};
+    response.headers.forEach((value, key) => {
+      if (!PROXY_DROP_HEADERS.has(key)) responseHeaders[key] = value;
+    });
+    res.writeHead(response.status, responseHeaders);
+
+    // Stream through at the client's pace; a client that disconnects cancels the upstream request
+    const reader = response.body?.getReader();
+    req.on("close", () => reader?.cancel().catch(() => {}));
+    try {
+      while (reader && !res.destroyed) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        if (!res.write(value)) await waitForDrain(res);
+      }
+    } catch {
+      // client went away or upstream aborted
+    }
+    res.end();
+  }
+
+  const server = createServer(async (req: any, res: any) => {
+    const started = Date.now();
+    const path = (req.url || "").split("?")[0];
+    if (req.method !== "POST" || !PROXY_PATHS.has(path)) {
+      proxyError(res, 404, "not_found_error", `${req.method} ${path} is not proxied (only POST ${[...PROXY_PATHS].join(", ")})`);
+      return;
+    }
+
+    // A client that aborts mid-upload or mid-stream must not take the proxy down with it
+    try {
+      await forwardProxyRequest(req, res, path);
+    } catch (e: any) {
+      console.error(`  ${path}  ✗ ${e?.message ?? e}`);
+      if (req.destroyed || res.destroyed) res.destroy();
+      else proxyError(res, 500, "api_error", `multi-account proxy: ${e?.message ?? e}`);
+      return;
+    }
+    console.log(`  ${new Date().toLocaleTimeString()}  ${path}  ${res.statusCode}  ${Date.now() - started}ms`);
+  });
+
+  server.on("error", (e: any) => {
+    console.error(e?.code === "EADDRINUSE" ? `❌ Port ${port} is in use` : `❌ Proxy server failed: ${e}`);
+    process.exit(1);
+  });
+  server.listen(port, host, () => {
+    console.log(`✓ Proxying Anthropic API on http://${host}:${port}  │  Ctrl+C to exit`);
+    console.log(`  export ANTHROPIC_BASE_URL=http://${host}:${port}`);
+    if (host !== "127.0.0.1" && host !== "localhost") {
+      console.log(`  ⚠ Listening beyond localhost: anyone who can reach this port uses your accounts`);
+    }
+  });
+}
+
 // ============================================================================
 // Config command
 // ============================================================================
 
-function cmdConfig(args: string[]) {
-  const state = loadState();
+async function cmdConfig(args: string[]) {
+  const accountIdx = args.indexOf('--account');
+  if (accountIdx !== -1) {
+    await cmdAccountConfig(args[accountIdx + 1], args.filter((_, idx) => idx !== accountIdx && idx !== accountIdx + 1));
+    return;
+  }
+  
+  const state = getState();
   
   if (args.includes('--show') || args.length === 0) {
     const cfg = state.config || {};
@@ -311,13 +813,51 @@ function cmdConfig(args: string[]) {
       console.log(`      Weekly (all):    ${Math.round(t.weekly7d * 100)}%`);
       console.log(`      Weekly (Sonnet): ${Math.round(t.weekly7dSonnet * 100)}%`);
     }
-    console.log(`    Check interval: ${(cfg.checkInterval ?? DEFAULTS.checkInterval) / 60000} min\n`);
+    const rc = normalizeRecover(cfg.recover, t);
+    const rcSuffix = cfg.recover === undefined ? ' (default)' : '';
+    if (allSame(rc)) {
+      console.log(`    Recover:        ${Math.round(rc.session5h * 100)}%${rcSuffix}`);
+    } else {
+      console.log(`    Recover:${rcSuffix}`);
+      console.log(`      Session (5h):    ${Math.round(rc.session5h * 100)}%`);
+      console.log(`      Weekly (all):    ${Math.round(rc.weekly7d * 100)}%`);
+      console.log(`      Weekly (Sonnet): ${Math.round(rc.weekly7dSonnet * 100)}%`);
+    }
+    console.log(`    Check interval: ${(cfg.checkInterval ?? DEFAULTS.checkInterval) / 60000} min`);
+    console.log(`    Strategy:       ${cfg.strategy ?? 'primary-first'}`);
+    console.log(`    Predictive:     ${cfg.predictive === false ? 'off' : 'on'}`);
+    console.log(`    Affinity:       ${cfg.affinity ? 'on' : 'off'}`);
+    console.log(`    Metrics:        ${cfg.metricsPort ? `http://${METRICS_HOST}:${cfg.metricsPort}/metrics` : 'off'}`);
+    const overflowCap = cfg.overflow?.dailyCap;
+    const overflowKey = loadMultiAuth().overflow?.key ? '' : ' (no API key: bun src/cli.ts overflow)';
+    console.log(`    Overflow:       ${overflowCap ? `$${overflowCap.toFixed(2)}/day${overflowKey}` : 'off'}`);
+    const routes = Object.entries(cfg.routing || {});
+    if (routes.length) {
+      console.log(`    Routing:`);
+      for (const [family, names] of routes) {
+        console.log(`      ${family.padEnd(7)} → ${([] as string[]).concat(names as any).join(', ')}`);
+      }
+    }
+    const overrides = loadAccounts().filter((a: any) => a.tier || a.threshold !== undefined || a.reserve !== undefined || a.weight !== undefined);
+    if (overrides.length) {
+      console.log(`    Accounts:`);
+      for (const a of overrides) {
+        const parts = [
+          a.tier ? `tier ${a.tier}` : null,
+          a.threshold !== undefined ? `threshold ${formatPerMetric(getAccountThresholds({ threshold: a.threshold }, cfg))}` : null,
+          typeof a.reserve === 'number' ? `reserve ${Math.round(a.reserve * 100)}%` : null,
+          typeof a.weight === 'number' ? `weight ${a.weight}` : null,
+        ].filter(Boolean);
+        console.log(`      ${a.name}: ${parts.join(', ')}`);
+      }
+    }
+    console.log('');
     return;
   }
   
   if (args.includes('--reset')) {
     delete state.config;
-    saveState(state);
+    if (!(await saved(saveState(state), STATE_FILE))) return;
     console.log('✓ Reset to defaults');
     return;
   }
@@ -366,52 +906,229 @@ function cmdConfig(args: string[]) {
   const i = parseArg('--interval');
   if (i) { state.config.checkInterval = parseInt(i) * 60000; changed = true; }
   
-  // Clean up legacy recover config
-  delete state.config.recover;
+  // --recover 0.60 → same for all metrics; --recover 85,70,80 → session, weekly, sonnet (%)
+  const rc = parseArg('--recover');
+  if (rc) {
+    if (rc.includes(',')) {
+      const parts = rc.split(',').map(Number);
+      if (parts.length !== 3 || parts.some(isNaN)) {
+        console.error('Usage: --recover <value> | <session>,<weekly>,<sonnet>  (e.g. --recover 0.60 or --recover 85,70,80)');
+        return;
+      }
+      state.config.recover = { session5h: parts[0] / 100, weekly7d: parts[1] / 100, weekly7dSonnet: parts[2] / 100 };
+    } else {
+      state.config.recover = parseFloat(rc);
+    }
+    changed = true;
+  }
+  
+  const st = parseArg('--strategy');
+  if (st) {
+    if (!STRATEGIES.includes(st as any)) {
+      console.error(`Usage: --strategy <${STRATEGIES.join('|')}>`);
+      return;
+    }
+    if (st === 'primary-first') delete state.config.strategy;
+    else state.config.strategy = st;
+    changed = true;
+  }
+  
+  const p = parseArg('--predictive');
+  if (p) {
+    if (p !== 'on' && p !== 'off') {
+      console.error('Usage: --predictive <on|off>');
+      return;
+    }
+    if (p === 'off') state.config.predictive = false;
+    else delete state.config.predictive;
+    changed = true;
+  }
+  
+  const af = parseArg('--affinity');
+  if (af) {
+    if (af !== 'on' && af !== 'off') {
+      console.error('Usage: --affinity <on|off>');
+      return;
+    }
+    if (af === 'on') state.config.affinity = true;
+    else {
+      delete state.config.affinity;
+      delete state.affinity;
+    }
+    changed = true;
+  }
+  
+  // --metrics 9464 | on → plugin serves /metrics on that port; --metrics off → disabled
+  const mp = parseArg('--metrics');
+  if (mp) {
+    const port = mp === 'on' ? METRICS_DEFAULT_PORT : parseInt(mp, 10);
+    if (mp === 'off') {
+      delete state.config.metricsPort;
+    } else if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      console.error('Usage: --metrics <port|on|off>');
+      return;
+    } else {
+      state.config.metricsPort = port;
+    }
+    changed = true;
+  }
+
+  // --overflow-cap 5 → the overflow API key may spend $5 a day; --overflow-cap off → never used
+  const oc = parseArg('--overflow-cap');
+  if (oc) {
+    const cap = parseFloat(oc);
+    if (oc === 'off') {
+      delete state.config.overflow;
+    } else if (!(cap > 0)) {
+      console.error('Usage: --overflow-cap <usd|off>  (e.g. --overflow-cap 5)');
+      return;
+    } else {
+      state.config.overflow = { ...state.config.overflow, dailyCap: cap };
+    }
+    changed = true;
+  }
+
+  // --route opus=max-20x,max-5x → Opus requests prefer max-20x, then max-5x
+  // --route opus=               → clear the Opus preference
+  const route = parseArg('--route');
+  if (route) {
+    const [family, names = ''] = route.split('=');
+    if (!MODEL_FAMILIES.includes(family as any) || !route.includes('=')) {
+      console.error(`Usage: --route <${MODEL_FAMILIES.join('|')}>=<account>[,<account>...]  (e.g. --route opus=max-20x)`);
+      return;
+    }
+    const list = names.split(',').map((n) => n.trim()).filter(Boolean);
+    state.config.routing = state.config.routing || {};
+    if (list.length) {
+      state.config.routing[family] = list;
+    } else {
+      delete state.config.routing[family];
+      if (!Object.keys(state.config.routing).length) delete state.config.routing;
+    }
+    changed = true;
+  }
   
   if (changed) {
     autoEvaluate(state);
-    saveState(state);
+    if (!(await saved(saveState(state), STATE_FILE))) return;
     console.log('✓ Config saved');
-    cmdConfig(['--show']);
+    await cmdConfig(['--show']);
   }
 }
 
-function autoEvaluate(state: any) {
-  const accounts = loadAccounts();
-  if (accounts.length < 2 || !state.currentAccount) return;
+// ============================================================================
+// Per-account overrides (config --account <name> ...), stored in the accounts file
+// ============================================================================
+
+async function cmdAccountConfig(name: string | undefined, args: string[]) {
+  const multiAuth = loadMultiAuth();
+  const account = multiAuth.accounts?.find((a: any) => a.name === name);
+  if (!account) {
+    console.error(name ? `❌ Account not found: ${name}` : 'Usage: config --account <name> [--threshold ...] [--tier <label>] [--reserve <0-1>] [--reset]');
+    return;
+  }
   
-  const config = state.config || {};
-  const t = normalizeThresholds(config.threshold, DEFAULTS.threshold);
-  
-  function isOverThreshold(usage: any): boolean {
-    if (!usage) return false;
-    return (
-      (usage.session5h?.utilization || 0) > t.session5h ||
-      (usage.weekly7d?.utilization || 0) > t.weekly7d ||
-      (usage.weekly7dSonnet?.utilization || 0) > t.weekly7dSonnet
-    );
-  }
-  
-  const primary = accounts[0];
-  const currentAccount = state.currentAccount;
-  const primaryUsage = state.usage?.[primary.name];
-  
-  if (currentAccount === primary.name) {
-    if (isOverThreshold(primaryUsage)) {
-      for (const fallback of accounts.slice(1)) {
-        if (!isOverThreshold(state.usage?.[fallback.name])) {
-          state.currentAccount = fallback.name;
-          console.log(`  ⚡ Auto-switch: ${primary.name} → ${fallback.name} (exceeds new thresholds)`);
-          return;
-        }
-      }
+  const parseArg = (flag: string) => {
+    const idx = args.indexOf(flag);
+    return idx !== -1 ? args[idx + 1] : null;
+  };
+  let changed = false;
+  
+  if (args.includes('--reset')) {
+    delete account.threshold;
+    delete account.tier;
+    delete account.reserve;
+    delete account.weight;
+    changed = true;
+  }
+  
+  function ensureThresholdObject() {
+    const current = account.threshold;
+    if (typeof current === 'number') {
+      account.threshold = { session5h: current, weekly7d: current, weekly7dSonnet: current };
+    } else if (!current || typeof current !== 'object') {
+      account.threshold = {};
     }
-  } else {
-    if (!isOverThreshold(primaryUsage)) {
-      state.currentAccount = primary.name;
-      console.log(`  ⚡ Auto-switch: ${currentAccount} → ${primary.name} (under new thresholds)`);
+  }
+  
+  const t = parseArg('--threshold');
+  if (t) { account.threshold = parseFloat(t); changed = true; }
+  
+  const ta = parseArg('--thresholds');
+  if (ta) {
+    const parts = ta.split(',').map(Number);
+    if (parts.length !== 3 || parts.some(isNaN)) {
+      console.error('Usage: --thresholds <session>,<weekly>,<sonnet>  (e.g. --thresholds 95,80,90)');
+      return;
+    }
+    account.threshold = { session5h: parts[0] / 100, weekly7d: parts[1] / 100, weekly7dSonnet: parts[2] / 100 };
+    changed = true;
+  }
+  
+  const ts = parseArg('--threshold-session');
+  if (ts) { ensureThresholdObject(); account.threshold.session5h = parseFloat(ts); changed = true; }
+  
+  const tw = parseArg('--threshold-weekly');
+  if (tw) { ensureThresholdObject(); account.threshold.weekly7d = parseFloat(tw); changed = true; }
+  
+  const tso = parseArg('--threshold-sonnet');
+  if (tso) { ensureThresholdObject(); account.threshold.weekly7dSonnet = parseFloat(tso); changed = true; }
+  
+  const tier = parseArg('--tier');
+  if (tier) { account.tier = tier; changed = true; }
+  
+  const reserve = parseArg('--reserve');
+  if (reserve) {
+    const value = parseFloat(reserve);
+    if (isNaN(value) || value < 0 || value >= 1) {
+      console.error('Usage: --reserve <0-1>  (e.g. --reserve 0.30 keeps 30% free)');
+      return;
     }
+    account.reserve = value;
+    changed = true;
+  }
+  
+  const weight = parseArg('--weight');
+  if (weight) {
+    const value = parseFloat(weight);
+    if (isNaN(value) || value <= 0) {
+      console.error('Usage: --weight <number>  (e.g. --weight 4 for a 20x next to a 5x)');
+      return;
+    }
+    account.weight = value;
+    changed = true;
+  }
+  
+  if (!changed) {
+    console.log(`\n  ${account.name}: threshold ${formatPerMetric(getAccountThresholds(account, getState().config))} (effective)\n`);
+    return;
+  }
+  
+  if (!(await saved(saveMultiAuth(multiAuth), MULTI_AUTH_FILE))) return;
+  const state = getState();
+  autoEvaluate(state);
+  if (!(await saved(saveState(state), STATE_FILE))) return;
+  console.log(`✓ Saved overrides for ${account.name}`);
+  await cmdConfig(['--show']);
+}
+
+// Re-run the plugin's primary-first selection right away (e.g. after a config change) instead
+// of waiting for the next request; the recovery check skips its checkInterval wait here.
+function autoEvaluate(state: any, log: (line: string) => void = console.log) {
+  const accounts = loadAccounts();
+  if (accounts.length < 2 || !state.currentAccount) return;
+  // Only primary-first keeps a sticky current account; other strategies pick per request
+  if ((state.config?.strategy ?? 'primary-first') !== 'primary-first') return;
+  // A manual pin overrides threshold logic
+  if (getActivePin(state)) return;
+
+  const plan = planThresholdAccount(accounts, { ...state, lastPrimaryCheck: 0 });
+  if (!plan.account) return;
+  const restore = configure({ log: (line: string) => log(`  ⚡ Auto-switch: ${line.replace('[multi-account] ', '')}`) });
+  try {
+    setCurrentAccount(state, plan.account.name, accounts[0].name, plan);
+  } finally {
+    configure(restore);
   }
 }
 
@@ -521,72 +1238,434 @@ async function cmdAdd(args: string[]) {
     }),
   });
 
-  if (!response.ok) {
-    const text = await response.text();
-    console.error(`\n❌ Failed: ${response.status} - ${text}`);
-    return;
+  if (!response.ok) {
+    const text = await response.text();
+    console.error(`\n❌ Failed: ${response.status} - ${text}`);
+    return;
+  }
+
+  const json = await response.json() as { access_token: string; refresh_token: string; expires_in: number };
+  const multiAuth = loadMultiAuth();
+  multiAuth.accounts ??= [];
+
+  const account = { name, access: json.access_token, refresh: json.refresh_token, expires: Date.now() + json.expires_in * 1000 };
+  const idx = multiAuth.accounts.findIndex((a: any) => a.name === name);
+
+  if (idx >= 0) {
+    multiAuth.accounts[idx] = account;
+  } else {
+    multiAuth.accounts.push(account);
+  }
+
+  if (!(await saved(saveMultiAuth(multiAuth), MULTI_AUTH_FILE))) return;
+  console.log(`\n✅ ${idx >= 0 ? 'Updated' : 'Added'}: ${name}`);
+  console.log("🎉 Restart OpenCode to use the new account.\n");
+}
+
+// ============================================================================
+// Import / export (OpenCode auth.json, Claude Code credentials, accounts files, bundles)
+// ============================================================================
+
+const BUNDLE_FORMAT = "anthropic-multi-account-bundle";
+const IMPORT_SOURCES: Record<string, string> = { opencode: AUTH_FILE, "claude-code": CLAUDE_CODE_CREDENTIALS_FILE };
+
+// Bundles are moved between machines, so they are always passphrase-encrypted, never key-file
+async function bundlePassphrase(confirm: boolean): Promise<{ kdf: "scrypt"; secret: string } | null> {
+  let secret = process.env[PASSPHRASE_ENV];
+  if (!secret) {
+    secret = await prompt("Bundle passphrase: ");
+    if (confirm && secret && (await prompt("Repeat passphrase: ")) !== secret) {
+      console.error("❌ Passphrases do not match");
+      return null;
+    }
+  }
+  return secret ? { kdf: "scrypt", secret } : null;
+}
+
+// OAuth credentials from any supported file shape, each as { name?, access, refresh, expires, ...settings }
+function extractCredentials(data: any): any[] {
+  if (Array.isArray(data?.accounts)) {
+    return data.accounts.filter((account: any) => account && typeof account === "object").map(normalizeAccountFields);
+  }
+  if (data?.claudeAiOauth) return [normalizeAccountFields(data.claudeAiOauth)];
+  if (data?.anthropic?.type === "oauth") return [data.anthropic];
+  return [];
+}
+
+function cleanImportedAccount(account: any, name: string): any {
+  const { accessToken, refreshToken, expiresAt, type, scopes, subscriptionType, rateLimitTier, ...rest } = account;
+  return { ...rest, name };
+}
+
+function uniqueAccountName(accounts: any[], name: string): string {
+  let candidate = name;
+  for (let n = 2; accounts.some((a: any) => a.name === candidate); n++) candidate = `${name}-${n}`;
+  return candidate;
+}
+
+async function cmdImport(source: string, name?: string) {
+  const filePath = IMPORT_SOURCES[source] ?? source;
+  if (!existsSync(filePath)) {
+    console.error(`❌ Not found: ${filePath}`);
+    return;
+  }
+  let data: any;
+  try {
+    data = JSON.parse(readFileSync(filePath, "utf-8"));
+  } catch (e: any) {
+    console.error(`❌ Cannot read ${filePath}: ${e.message}`);
+    return;
+  }
+  if (isEncrypted(data)) {
+    const secret = data.encrypted.kdf === "scrypt" ? await bundlePassphrase(false) : getEncryptionSecret("keyfile");
+    try {
+      data = decryptJSON(data.encrypted, secret);
+    } catch (e: any) {
+      // GCM auth failure is the usual symptom of a wrong passphrase
+      console.error(`❌ Cannot decrypt ${filePath}: ${secret ? "wrong passphrase or key" : e.message}`);
+      return;
+    }
+  }
+
+  const incoming = extractCredentials(data);
+  if (!incoming.length) {
+    console.error(`❌ No Anthropic OAuth credentials found in ${filePath}`);
+    return;
+  }
+
+  const multiAuth = loadMultiAuth();
+  multiAuth.accounts ??= [];
+  const defaultName = IMPORT_SOURCES[source] ? source : "imported";
+  let added = 0;
+  for (const credential of incoming) {
+    const label = credential.name || name || defaultName;
+    if (!credential.refresh) {
+      console.log(`  – ${label}: skipped (no refresh token)`);
+      continue;
+    }
+    // Deduplicate by refresh token: the same login under another name is not a new account
+    const existing = multiAuth.accounts.find((a: any) => a.refresh === credential.refresh);
+    if (existing) {
+      console.log(`  – ${label}: already present as ${existing.name}`);
+      continue;
+    }
+    const accountName = uniqueAccountName(multiAuth.accounts, incoming.length === 1 && name ? name : label);
+    multiAuth.accounts.push(cleanImportedAccount(credential, accountName));
+    added++;
+    console.log(`  ✓ ${accountName}${accountName !== label ? `  (renamed from ${label})` : ""}`);
+  }
+
+  if (!added) {
+    console.log("\nNothing to import.");
+    return;
+  }
+  if (!(await saved(saveMultiAuth(multiAuth), MULTI_AUTH_FILE))) return;
+  console.log(`\n✅ Imported ${added} account(s) from ${filePath}`);
+  if (IMPORT_SOURCES[source]) {
+    console.log(`⚠ Refresh tokens rotate: once either side refreshes, ${source} will need to log in again.`);
+  }
+  console.log("🎉 Restart OpenCode to use the new account(s).\n");
+}
+
+async function cmdExport(filePath: string, encrypt: boolean) {
+  if (existsSync(filePath)) {
+    console.error(`❌ ${filePath} already exists`);
+    return;
+  }
+  const accounts = loadAccounts();
+  if (!accounts.length) {
+    console.error("❌ No accounts to export");
+    return;
+  }
+  let bundle: any = { format: BUNDLE_FORMAT, version: 1, exportedAt: new Date().toISOString(), accounts };
+  if (encrypt) {
+    const secret = await bundlePassphrase(true);
+    if (!secret) return;
+    bundle = { format: BUNDLE_FORMAT, version: 1, ...encryptJSON(bundle, null, secret) };
+  }
+  mkdirSync(dirname(filePath), { recursive: true });
+  writeFileSync(filePath, JSON.stringify(bundle, null, 2), { mode: 0o600 });
+  console.log(`✅ Exported ${accounts.length} account(s) to ${filePath}${encrypt ? " (encrypted)" : ""}`);
+  if (!encrypt) console.log("⚠ The bundle holds live refresh tokens in plaintext; delete it once imported.");
+}
+
+// ============================================================================
+// Overflow API key, stored in the accounts file (the daily cap is config --overflow-cap)
+// ============================================================================
+
+async function cmdOverflow(remove: boolean) {
+  const multiAuth = loadMultiAuth();
+  if (remove) {
+    if (!multiAuth.overflow) {
+      console.log("No overflow API key set.");
+      return;
+    }
+    delete multiAuth.overflow;
+    if (!(await saved(saveMultiAuth(multiAuth), MULTI_AUTH_FILE))) return;
+    console.log("✅ Overflow API key removed");
+    return;
+  }
+
+  const key = await prompt("Anthropic API key (sk-ant-...): ");
+  if (!key.startsWith("sk-ant-")) {
+    console.error("❌ Not an Anthropic API key (expected sk-ant-...)");
+    return;
+  }
+  multiAuth.overflow = { ...multiAuth.overflow, key };
+  if (!(await saved(saveMultiAuth(multiAuth), MULTI_AUTH_FILE))) return;
+  console.log(`✅ Overflow API key saved to ${MULTI_AUTH_FILE}`);
+  if (!(getState().config?.overflow?.dailyCap > 0)) {
+    console.log("   It is used once a daily spend cap is set: bun src/cli.ts config --overflow-cap <usd>");
+  }
+}
+
+// ============================================================================
+// Manual overrides (switch, pin, exclude, unpin), stored in state
+// ============================================================================
+
+function endOfToday(): number {
+  const end = new Date();
+  end.setHours(23, 59, 59, 999);
+  return end.getTime();
+}
+
+// "2h" (from now), "18:30" (next occurrence), or anything Date.parse accepts → ms timestamp
+function parseUntil(text: string): number | null {
+  const span = parseDuration(text);
+  if (span) return Date.now() + span;
+  const clock = /^(\d{1,2}):(\d{2})$/.exec(text.trim());
+  if (clock) {
+    const at = new Date();
+    at.setHours(parseInt(clock[1], 10), parseInt(clock[2], 10), 0, 0);
+    if (at.getTime() <= Date.now()) at.setDate(at.getDate() + 1);
+    return at.getTime();
+  }
+  const parsed = Date.parse(text);
+  return Number.isFinite(parsed) && parsed > Date.now() ? parsed : null;
+}
+
+function formatUntil(until: number | null): string {
+  if (!until) return 'until unpinned';
+  return `until ${formatResetTime(Math.floor(until / 1000))}`;
+}
+
+// Dashboard lines for the active pin and exclusions
+function describeOverrides(state: any): string[] {
+  const lines: string[] = [];
+  const pin = getActivePin(state);
+  if (pin) lines.push(`\x1b[1;35m📌 Pinned to ${pin.account} ${formatUntil(pin.until)}\x1b[0m`);
+  for (const [name, until] of Object.entries(state.excluded || {}) as [string, number][]) {
+    if (until > Date.now()) lines.push(`\x1b[31m⛔ ${name} excluded ${formatUntil(until)}\x1b[0m`);
+  }
+  return lines;
+}
+
+function requireAccount(name: string): boolean {
+  if (loadAccounts().some((a: any) => a.name === name)) return true;
+  console.error(`❌ Account not found: ${name}`);
+  return false;
+}
+
+// One-off: make the account current; threshold logic may move away again later
+async function cmdSwitch(name: string) {
+  if (!requireAccount(name)) return;
+  const state = getState();
+  const from = state.currentAccount;
+  state.currentAccount = name;
+  state.lastPrimaryCheck = Date.now();
+  if (isExcluded(state, name)) delete state.excluded[name];
+  if (!(await saved(saveState(state), STATE_FILE))) return;
+  logEvent("switch", { from, to: name, reason: "manual" });
+  console.log(`✓ Switched to ${name}`);
+}
+
+async function cmdPin(name: string, forText?: string, untilText?: string) {
+  if (!requireAccount(name)) return;
+  let until: number | null = null;
+  if (forText || untilText) {
+    until = forText ? (parseDuration(forText) ? Date.now() + parseDuration(forText)! : null) : parseUntil(untilText!);
+    if (!until) {
+      console.error('Usage: pin <name> [--for <90m|2h|1d>] [--until <18:30|2h|date>]');
+      return;
+    }
+  }
+  const state = getState();
+  const from = state.currentAccount;
+  state.pin = { account: name, until };
+  state.currentAccount = name;
+  if (isExcluded(state, name)) delete state.excluded[name];
+  if (!(await saved(saveState(state), STATE_FILE))) return;
+  logEvent("switch", { from, to: name, reason: "pinned", until });
+  console.log(`📌 Pinned to ${name} ${formatUntil(until)}`);
+}
+
+async function cmdExclude(name: string, untilText?: string) {
+  if (!requireAccount(name)) return;
+  const until = untilText ? parseUntil(untilText) : endOfToday();
+  if (!until) {
+    console.error('Usage: exclude <name> [--until <18:30|2h|date>]  (default: end of today)');
+    return;
+  }
+  const state = getState();
+  state.excluded = { ...(state.excluded || {}), [name]: until };
+  if (state.pin?.account === name) delete state.pin;
+  autoEvaluate(state);
+  if (!(await saved(saveState(state), STATE_FILE))) return;
+  console.log(`⛔ ${name} excluded ${formatUntil(until)}`);
+}
+
+// No name: clear the pin and every exclusion; with a name: only that account's overrides
+async function cmdUnpin(name?: string) {
+  const state = getState();
+  if (name) {
+    if (state.pin?.account === name) delete state.pin;
+    if (state.excluded) delete state.excluded[name];
+  } else {
+    delete state.pin;
+    delete state.excluded;
+  }
+  autoEvaluate(state);
+  if (!(await saved(saveState(state), STATE_FILE))) return;
+  console.log(name ? `✓ Cleared overrides for ${name}` : '✓ Cleared pin and exclusions');
+}
+
+// ============================================================================
+// Account lifecycle commands (remove, rename, move, set-primary)
+// ============================================================================
+
+// State maps keyed by account name
+const ACCOUNT_STATE_KEYS = ['usage', 'authFailures', 'rateLimited', 'excluded', 'burn', 'tokens', 'counters'];
+
+/**
+ * Rename (`to` = new name) or drop (`to` = null) every state reference to an account:
+ * per-account maps, affinity entries, routing preferences, the pin and currentAccount.
+ */
+function rewriteAccountInState(state: any, from: string, to: string | null) {
+  for (const key of ACCOUNT_STATE_KEYS) {
+    const map = state[key];
+    if (!isPlainObject(map) || !(from in map)) continue;
+    if (to) map[to] = map[from];
+    delete map[from];
+  }
+  if (isPlainObject(state.affinity)) {
+    for (const [fingerprint, entry] of Object.entries(state.affinity) as [string, any][]) {
+      if (entry?.account !== from) continue;
+      if (to) entry.account = to;
+      else delete state.affinity[fingerprint];
+    }
+  }
+  const routing = state.config?.routing;
+  if (isPlainObject(routing)) {
+    for (const family of Object.keys(routing)) {
+      const list = (routing[family] as string[]).map((name) => (name === from ? to : name)).filter((name): name is string => !!name);
+      if (list.length) routing[family] = list;
+      else delete routing[family];
+    }
+    if (!Object.keys(routing).length) delete state.config.routing;
+  }
+  if (state.pin?.account === from) {
+    if (to) state.pin.account = to;
+    else delete state.pin;
+  }
+  if (state.currentAccount === from) {
+    if (to) state.currentAccount = to;
+    else delete state.currentAccount;
+  }
+}
+
+// Save the reordered/renamed accounts, then bring state in line and re-run autoEvaluate;
+// false when either file was not written
+async function commitAccountChange(multiAuth: any, updateState: (state: any) => void): Promise<boolean> {
+  if (!(await saved(saveMultiAuth(multiAuth), MULTI_AUTH_FILE))) return false;
+  const state = getState();
+  updateState(state);
+  if (!state.currentAccount && multiAuth.accounts.length) {
+    state.currentAccount = multiAuth.accounts[0].name;
   }
+  autoEvaluate(state);
+  return saved(saveState(state), STATE_FILE);
+}
 
-  const json = await response.json() as { access_token: string; refresh_token: string; expires_in: number };
+function findAccountIndex(multiAuth: any, name: string): number {
+  const idx = multiAuth.accounts?.findIndex((a: any) => a.name === name) ?? -1;
+  if (idx === -1) console.error(`❌ Account not found: ${name}`);
+  return idx;
+}
+
+function printAccountOrder(accounts: any[]) {
+  accounts.forEach((account: any, idx: number) => {
+    console.log(`  ${idx + 1}. ${account.name}${idx === 0 ? '  (primary)' : ''}`);
+  });
+}
+
+async function cmdRemove(name: string, yes: boolean) {
   const multiAuth = loadMultiAuth();
-  multiAuth.accounts ??= [];
+  const idx = findAccountIndex(multiAuth, name);
+  if (idx === -1) return;
 
-  const account = { name, access: json.access_token, refresh: json.refresh_token, expires: Date.now() + json.expires_in * 1000 };
-  const idx = multiAuth.accounts.findIndex((a: any) => a.name === name);
+  if (!yes) {
+    const answer = await prompt(`Remove account ${name}${idx === 0 ? ' (primary)' : ''}? [y/N] `);
+    if (answer.toLowerCase() !== 'y') {
+      console.log('Cancelled');
+      return;
+    }
+  }
 
-  if (idx >= 0) {
-    multiAuth.accounts[idx] = account;
-    console.log(`\n✅ Updated: ${name}`);
-  } else {
-    multiAuth.accounts.push(account);
-    console.log(`\n✅ Added: ${name}`);
+  multiAuth.accounts.splice(idx, 1);
+  if (!(await commitAccountChange(multiAuth, (state) => rewriteAccountInState(state, name, null)))) return;
+  console.log(`✓ Removed ${name}`);
+  printAccountOrder(multiAuth.accounts);
+  // The plugin still merges legacy files in, which would bring the account back
+  for (const legacy of [LEGACY_MULTI_AUTH_FILE_CONFIG, LEGACY_MULTI_AUTH_FILE]) {
+    if (safeReadJSON(legacy, null)?.accounts?.some((a: any) => a?.name === name)) {
+      console.log(`⚡ ${name} is still in legacy file ${legacy}; delete it there too`);
+    }
   }
+}
 
-  saveMultiAuth(multiAuth);
-  console.log("🎉 Restart OpenCode to use the new account.\n");
+async function cmdRename(from: string, to: string) {
+  const multiAuth = loadMultiAuth();
+  const idx = findAccountIndex(multiAuth, from);
+  if (idx === -1) return;
+  if (!to.trim() || to === from) {
+    console.error('Usage: rename <name> <new-name>');
+    return;
+  }
+  if (multiAuth.accounts.some((a: any) => a.name === to)) {
+    console.error(`❌ Account already exists: ${to}`);
+    return;
+  }
+
+  multiAuth.accounts[idx] = { ...multiAuth.accounts[idx], name: to };
+  if (!(await commitAccountChange(multiAuth, (state) => rewriteAccountInState(state, from, to)))) return;
+  console.log(`✓ Renamed ${from} → ${to}`);
 }
 
-async function refreshToken(account: any): Promise<string | null> {
-  if (account.access && account.expires > Date.now()) return null;
-  if (!account.refresh) return "No refresh token available";
-  try {
-    const res = await fetch("https://console.anthropic.com/v1/oauth/token", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        grant_type: "refresh_token",
-        refresh_token: account.refresh,
-        client_id: CLIENT_ID,
-      }),
-    });
-    if (!res.ok) {
-      const body = await res.text().catch(() => "");
-      return `Token refresh failed (${res.status}): ${body.slice(0, 200)}`;
-    }
-    const json = await res.json() as { access_token: string; refresh_token: string; expires_in: number };
-    account.access = json.access_token;
-    account.refresh = json.refresh_token;
-    account.expires = Date.now() + json.expires_in * 1000;
-    // Persist refreshed tokens
-    const multiAuth = loadMultiAuth();
-    const idx = multiAuth.accounts?.findIndex((a: any) => a.name === account.name) ?? -1;
-    if (idx >= 0) {
-      multiAuth.accounts[idx] = account;
-      saveMultiAuth(multiAuth);
-    }
-    return null;
-  } catch (err) {
-    return `Token refresh error: ${String(err)}`;
+// position is 1-based; 1 makes the account the primary
+async function cmdMove(name: string, position: number) {
+  const multiAuth = loadMultiAuth();
+  const idx = findAccountIndex(multiAuth, name);
+  if (idx === -1) return;
+  if (!Number.isInteger(position) || position < 1 || position > multiAuth.accounts.length) {
+    console.error(`Usage: move <name> <position>  (1-${multiAuth.accounts.length}, 1 = primary)`);
+    return;
   }
+
+  const [account] = multiAuth.accounts.splice(idx, 1);
+  multiAuth.accounts.splice(position - 1, 0, account);
+  if (!(await commitAccountChange(multiAuth, () => {}))) return;
+  console.log(`✓ Moved ${name} to position ${position}`);
+  printAccountOrder(multiAuth.accounts);
 }
 
 // ---------------------------------------------------------------------------
-// Rate-limit header parsing (mirrors index.mjs updateMetric logic)
+// Rate-limit headers as a snapshot for ping output (core captureUsageHeaders stores them)
 // Header prefixes:  anthropic-ratelimit-unified-{5h,7d,7d_sonnet}-{utilization,reset,status}
 // ---------------------------------------------------------------------------
 
 type QuotaMetric = { utilization: number; reset: number | null; status: string };
-type QuotaSnapshot = { session5h: QuotaMetric | null; weekly7d: QuotaMetric | null; weekly7dSonnet: QuotaMetric | null };
+type UnifiedStatus = { status: string; reset: number | null; claim: string | null };
+type QuotaSnapshot = { session5h: QuotaMetric | null; weekly7d: QuotaMetric | null; weekly7dSonnet: QuotaMetric | null; unified: UnifiedStatus | null };
 
 function parseRateLimitHeaders(res: Response): QuotaSnapshot | null {
   function parseMetric(prefix: string): QuotaMetric | null {
@@ -604,37 +1683,22 @@ function parseRateLimitHeaders(res: Response): QuotaSnapshot | null {
   const session5h = parseMetric('anthropic-ratelimit-unified-5h');
   const weekly7d = parseMetric('anthropic-ratelimit-unified-7d');
   const weekly7dSonnet = parseMetric('anthropic-ratelimit-unified-7d_sonnet');
-  if (!session5h && !weekly7d && !weekly7dSonnet) return null;
-  return { session5h, weekly7d, weekly7dSonnet };
-}
-
-function updateUsageState(alias: string, quota: QuotaSnapshot): void {
-  const state = loadState();
-  state.usage = state.usage || {};
-  const prev = state.usage[alias] || {};
-
-  function mergeMetric(prevMetric: any, newMetric: QuotaMetric | null) {
-    if (!newMetric) return prevMetric || { utilization: 0, reset: null, status: 'allowed' };
-    return {
-      utilization: newMetric.utilization ?? (prevMetric?.utilization ?? 0),
-      reset: newMetric.reset ?? (prevMetric?.reset ?? null),
-      status: newMetric.status ?? (prevMetric?.status ?? 'unknown')
-    };
-  }
-
-  state.usage[alias] = {
-    session5h: mergeMetric(prev.session5h, quota.session5h),
-    weekly7d: mergeMetric(prev.weekly7d, quota.weekly7d),
-    weekly7dSonnet: mergeMetric(prev.weekly7dSonnet, quota.weekly7dSonnet),
-    timestamp: new Date().toISOString()
-  };
-  saveState(state);
+  const rawStatus = res.headers.get('anthropic-ratelimit-unified-status');
+  const unified = rawStatus !== null
+    ? {
+        status: rawStatus,
+        reset: parseInt(res.headers.get('anthropic-ratelimit-unified-reset') ?? '', 10) || null,
+        claim: res.headers.get('anthropic-ratelimit-unified-representative-claim'),
+      }
+    : null;
+  if (!session5h && !weekly7d && !weekly7dSonnet && !unified) return null;
+  return { session5h, weekly7d, weekly7dSonnet, unified };
 }
 
 async function cmdPing(alias: string) {
   try {
-    const accounts = loadAccounts();
-    const account = accounts.find((item: any) => item.name === alias);
+    const single = !loadAccounts().length;
+    const account = loadActiveAccounts().find((item: any) => item.name === alias);
 
     if (!account) {
       console.log(JSON.stringify({ status: "error", alias, error: `Account not found: ${alias}` }));
@@ -646,10 +1710,10 @@ async function cmdPing(alias: string) {
       return;
     }
 
-    // Refresh token if expired
-    const refreshError = await refreshToken(account);
-    if (refreshError) {
-      console.log(JSON.stringify({ status: "error", alias, error: refreshError }));
+    // Refresh token if expired (same lock and rotation handling as the plugin)
+    const refreshResult = await ensureFreshAccountToken(account, single ? SINGLE_ACCOUNT_STORE : undefined);
+    if (!refreshResult.ok) {
+      console.log(JSON.stringify({ status: "error", alias, error: `Token refresh failed (${refreshResult.status})` }));
       return;
     }
 
@@ -669,17 +1733,16 @@ async function cmdPing(alias: string) {
       }),
     });
 
+    // Usage headers, cooldowns and counters are recorded the way the plugin records them;
+    // the body lets a 401/403 that is not a scope failure pass without an auth cooldown
+    const text = res.ok ? "" : await res.text();
+    recordResponse(alias, { status: res.status, headers: res.headers, body: text });
     if (res.ok) {
-      // Parse rate-limit headers and save usage to state (same headers as index.mjs)
       const quota = parseRateLimitHeaders(res);
-      if (quota) {
-        updateUsageState(alias, quota);
-      }
       console.log(JSON.stringify({ status: "ok", alias, quota: quota ?? undefined }));
       return;
     }
 
-    const text = await res.text();
     console.log(JSON.stringify({ status: "error", alias, error: `HTTP ${res.status}: ${text.slice(0, 200)}` }));
   } catch (err) {
     console.log(JSON.stringify({ status: "error", alias, error: String(err) }));
@@ -755,21 +1818,336 @@ async function cmdReauth(alias: string, callbackUrl?: string, verifier?: string)
     } else {
       multiAuth.accounts.push(updated);
     }
-    saveMultiAuth(multiAuth);
+    if (!(await saveMultiAuth(multiAuth))) {
+      process.exitCode = 1;
+      console.log(JSON.stringify({ status: "error", alias, error: `Could not write ${MULTI_AUTH_FILE}` }));
+      return;
+    }
     console.log(JSON.stringify({ status: "ok", alias }));
   } catch (err) {
     console.log(JSON.stringify({ status: "error", alias, error: String(err) }));
   }
 }
 
+// ============================================================================
+// Doctor command (setup diagnostics)
+// ============================================================================
+
+type CheckStatus = 'pass' | 'warn' | 'fail';
+type Check = { id: string; status: CheckStatus; message: string; fix?: string };
+
+// Raw look at a JSON file and its .bak, without the silent fallback safeReadJSON applies
+function inspectJSONFile(filePath: string): { exists: boolean; data: any; valid: boolean; backupValid: boolean } {
+  const parse = (path: string) => {
+    if (!existsSync(path)) return undefined;
+    try {
+      return JSON.parse(readFileSync(path, "utf-8"));
+    } catch {
+      return null;
+    }
+  };
+  const data = parse(filePath);
+  const backup = parse(filePath + '.bak');
+  return { exists: data !== undefined, data: data ?? null, valid: isPlainObject(data), backupValid: isPlainObject(backup) };
+}
+
+// Missing/corrupt file checks; returns what readers end up with (the file or its .bak), or null
+function checkJSONFile(checks: Check[], id: string, filePath: string, missing: Check | null): any {
+  const file = inspectJSONFile(filePath);
+  const restore = `cp "${filePath}.bak" "${filePath}" (the next save replaces the backup)`;
+  if (!file.exists && file.backupValid) {
+    checks.push({ id, status: 'warn', message: `${filePath} is missing; readers silently use its .bak`, fix: restore });
+  } else if (!file.exists) {
+    if (missing) checks.push(missing);
+  } else if (!file.valid && file.backupValid) {
+    checks.push({ id, status: 'warn', message: `${filePath} is corrupt; readers silently restore from .bak`, fix: restore });
+  } else if (!file.valid) {
+    checks.push({ id, status: 'fail', message: `${filePath} is corrupt and has no usable backup`, fix: `Move it aside; the plugin starts from an empty file` });
+  } else {
+    checks.push({ id, status: 'pass', message: `${filePath} is valid JSON` });
+    return file.data;
+  }
+  return file.backupValid ? inspectJSONFile(filePath + '.bak').data : null;
+}
+
+function doctorChecks(): Check[] {
+  const checks: Check[] = [];
+
+  if (process.env.OPENCODE_DISABLE_DEFAULT_PLUGINS === 'true') {
+    checks.push({ id: 'env', status: 'pass', message: 'OPENCODE_DISABLE_DEFAULT_PLUGINS=true' });
+  } else {
+    checks.push({
+      id: 'env',
+      status: 'fail',
+      message: 'OPENCODE_DISABLE_DEFAULT_PLUGINS is not exported; the built-in Anthropic plugin overrides this one',
+      fix: 'Add `export OPENCODE_DISABLE_DEFAULT_PLUGINS=true` to ~/.zshrc or ~/.bashrc and restart the shell',
+    });
+  }
+
+  // Accounts: the main file, its encryption, then every source the plugin merges
+  const legacyAuth = [LEGACY_MULTI_AUTH_FILE_CONFIG, LEGACY_MULTI_AUTH_FILE].filter((path) => existsSync(path));
+  const single = readSingleAccount();
+  const accountsFile = checkJSONFile(checks, 'accounts-file', MULTI_AUTH_FILE, legacyAuth.length ? null : single ? {
+    id: 'accounts-file',
+    status: 'pass',
+    message: `No accounts file: single-account mode with OpenCode's login from ${AUTH_FILE}`,
+  } : {
+    id: 'accounts-file',
+    status: 'fail',
+    message: `No accounts file at ${MULTI_AUTH_FILE}`,
+    fix: 'bun src/cli.ts add <name>',
+  });
+  // Read-only: loadMultiAuth would migrate legacy files and normalize on the way
+  const sources = new Map<string, any[]>();
+  let decryptable = true;
+  let overflowKey: string | null = null;
+  const files: [string, any][] = [[MULTI_AUTH_FILE, accountsFile], ...legacyAuth.map((path): [string, any] => [path, inspectJSONFile(path).data])];
+  for (const [path, raw] of files) {
+    if (!raw) continue;
+    try {
+      const data = isEncrypted(raw) ? decryptJSON(raw.encrypted) : raw;
+      if (path === MULTI_AUTH_FILE && isEncrypted(raw)) {
+        checks.push({ id: 'encryption', status: 'pass', message: 'Accounts file is encrypted and the key is available' });
+      }
+      if (Array.isArray(data?.accounts)) sources.set(path, data.accounts);
+      if (path === MULTI_AUTH_FILE) overflowKey = data?.overflow?.key ?? null;
+    } catch (e: any) {
+      decryptable = false;
+      checks.push({
+        id: 'encryption',
+        status: 'fail',
+        message: `Cannot decrypt ${path}: ${e.message}`,
+        fix: `Set ${PASSPHRASE_ENV} or ${KEY_FILE_ENV} to the secret used by \`encrypt\` (here and where OpenCode runs)`,
+      });
+    }
+  }
+
+  const mainNames = new Set((sources.get(MULTI_AUTH_FILE) || []).map((account: any) => account?.name));
+  for (const path of legacyAuth) {
+    const overlap = (sources.get(path) || []).map((account: any) => account?.name).filter((name: string) => mainNames.has(name));
+    checks.push({
+      id: 'legacy-files',
+      status: 'warn',
+      message: `Legacy ${path} is merged into the accounts on every load${overlap.length ? ` and shadows ${overlap.join(', ')} when its tokens expire later` : ''}; accounts removed from the main file come back`,
+      fix: `Check its accounts are in ${MULTI_AUTH_FILE}, then: mv "${path}" "${path}.old"`,
+    });
+  }
+  if (existsSync(LEGACY_STATE_FILE)) {
+    const used = !existsSync(STATE_FILE);
+    checks.push({
+      id: 'legacy-files',
+      status: 'warn',
+      message: used
+        ? `State is read from legacy ${LEGACY_STATE_FILE} (no ${STATE_FILE} yet)`
+        : `Legacy ${LEGACY_STATE_FILE} is ignored but still present`,
+      fix: used ? 'Run `bun src/cli.ts usage` to migrate it, then delete the legacy file' : `rm "${LEGACY_STATE_FILE}"`,
+    });
+  }
+
+  // Duplicate and unnamed entries are collapsed or dropped by mergeMultiAuthSources
+  for (const [path, list] of sources) {
+    const counts = new Map<string, number>();
+    for (const account of list) {
+      if (account?.name) counts.set(account.name, (counts.get(account.name) || 0) + 1);
+    }
+    const duplicates = [...counts].filter(([, count]) => count > 1).map(([name, count]) => `${name} (${count}x)`);
+    if (duplicates.length) {
+      checks.push({
+        id: 'duplicates',
+        status: 'fail',
+        message: `${path} lists ${duplicates.join(', ')}; only the copy with the newest tokens is kept`,
+        fix: 'Rename one copy with `bun src/cli.ts rename` or delete it from the file',
+      });
+    }
+    const unnamed = list.filter((account: any) => !account?.name).length;
+    if (unnamed) {
+      checks.push({ id: 'duplicates', status: 'warn', message: `${path} has ${unnamed} account(s) without a name; they are ignored`, fix: 'Give them a "name" or delete them' });
+    }
+  }
+  if (decryptable && sources.size && !checks.some((check) => check.id === 'duplicates')) {
+    checks.push({ id: 'duplicates', status: 'pass', message: 'Account names are unique' });
+  }
+
+  // State file, then per-account health from state and the event log
+  const state = checkJSONFile(checks, 'state-file', STATE_FILE, {
+    id: 'state-file',
+    status: 'pass',
+    message: `${STATE_FILE} not created yet (written on the first request)`,
+  }) ?? {};
+  // One entry per name, preferring the copy with a refresh token and the latest expiry (as the plugin does)
+  const byName = new Map<string, any>();
+  for (const list of sources.values()) {
+    for (const account of list) {
+      if (!account?.name) continue;
+      const current = byName.get(account.name);
+      if (!current || (account.refresh && !current.refresh) || (account.expires || 0) > (current.expires || 0)) {
+        byName.set(account.name, account);
+      }
+    }
+  }
+  const accounts = [...byName.values()];
+  const singleMode = !accounts.length && !!single;
+  if (singleMode) accounts.push(single);
+  const lastRefresh = new Map<string, any>();
+  for (const event of loadEvents()) {
+    if (event.type === 'refresh' && event.account) lastRefresh.set(event.account, event);
+  }
+
+  const now = Date.now();
+  for (const account of accounts) {
+    const id = `account:${account.name}`;
+    const relogin = singleMode
+      ? 'opencode auth login   # Anthropic → Claude Pro/Max'
+      : `bun src/cli.ts add ${account.name}   # log in again; the account keeps its settings`;
+    const refresh = lastRefresh.get(account.name);
+    const cooldown = state.authFailures?.[account.name];
+    if (!account.refresh) {
+      checks.push({ id, status: 'fail', message: `${account.name} has no refresh token`, fix: relogin });
+    } else if (refresh && refresh.ok === false && !(account.expires > now)) {
+      checks.push({
+        id,
+        status: 'fail',
+        message: `${account.name}: last token refresh failed${refresh.status ? ` (${refresh.status})` : ''} ${formatDuration(Math.round((now - refresh.t) / 1000))} ago; the refresh token is likely expired or revoked`,
+        fix: relogin,
+      });
+    } else if (typeof cooldown === 'number' && cooldown > now) {
+      checks.push({
+        id,
+        status: 'warn',
+        message: `${account.name} is in auth-failure cooldown for another ${formatDuration(Math.round((cooldown - now) / 1000))}`,
+        fix: `Check it with \`bun src/cli.ts ping ${account.name}\`; if it keeps failing: ${relogin}`,
+      });
+    } else {
+      checks.push({ id, status: 'pass', message: `${account.name}: tokens ${account.expires > now ? 'valid' : 'expired, refreshed on next use'}` });
+    }
+  }
+
+  const names = new Set(accounts.map((account: any) => account.name));
+  const dangling = [
+    state.currentAccount && !names.has(state.currentAccount) ? `currentAccount "${state.currentAccount}"` : null,
+    state.pin?.account && !names.has(state.pin.account) ? `pin "${state.pin.account}"` : null,
+  ].filter(Boolean);
+  if (decryptable && accounts.length && dangling.length) {
+    checks.push({ id: 'state-refs', status: 'warn', message: `State refers to unknown ${dangling.join(' and ')}`, fix: 'bun src/cli.ts unpin && bun src/cli.ts set-primary <name>' });
+  }
+
+  const overflowCap = state.config?.overflow?.dailyCap;
+  if (overflowKey && !(overflowCap > 0)) {
+    checks.push({ id: 'overflow', status: 'warn', message: 'An overflow API key is set but has no daily cap, so it is never used', fix: 'bun src/cli.ts config --overflow-cap <usd>' });
+  } else if (overflowCap > 0 && decryptable && !overflowKey) {
+    checks.push({ id: 'overflow', status: 'warn', message: `Overflow is capped at $${overflowCap.toFixed(2)}/day but no overflow API key is set`, fix: 'bun src/cli.ts overflow' });
+  } else if (overflowKey) {
+    checks.push({ id: 'overflow', status: 'pass', message: `Overflow API key set, capped at $${overflowCap.toFixed(2)}/day` });
+  }
+
+  return checks;
+}
+
+function cmdDoctor(args: string[]) {
+  const checks = doctorChecks();
+  const summary = { pass: 0, warn: 0, fail: 0 };
+  for (const check of checks) summary[check.status]++;
+  if (summary.fail) process.exitCode = 1;
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify({ ok: summary.fail === 0, summary, checks }, null, 2));
+    return;
+  }
+
+  const icons = { pass: '\x1b[32m✓\x1b[0m', warn: '\x1b[33m⚠\x1b[0m', fail: '\x1b[31m✗\x1b[0m' };
+  console.log('\n🩺 anthropic-multi-account doctor\n');
+  for (const check of checks) {
+    console.log(`  ${icons[check.status]} ${check.message}`);
+    if (check.fix && check.status !== 'pass') console.log(`    \x1b[2m→ ${check.fix}\x1b[0m`);
+  }
+  console.log(`\n  ${summary.pass} passed, ${summary.warn} warning(s), ${summary.fail} failed\n`);
+}
+
+// ============================================================================
+// Encrypt / decrypt commands (in-place migration with a backup)
+// ============================================================================
+
+async function cmdEncrypt() {
+  if (!existsSync(MULTI_AUTH_FILE)) {
+    console.log(`❌ No accounts file at ${MULTI_AUTH_FILE}`);
+    return;
+  }
+  if (!getEncryptionSecret()) {
+    mkdirSync(dirname(KEY_FILE), { recursive: true });
+    writeFileSync(KEY_FILE, randomBytes(32).toString("hex") + "\n", { mode: 0o600 });
+    console.log(`🔑 Generated key file ${KEY_FILE} (set ${PASSPHRASE_ENV} instead to use a passphrase)`);
+  }
+
+  const backup = MULTI_AUTH_FILE + ".plaintext.bak";
+  const kdf = await withFileLock(MULTI_AUTH_FILE, () => {
+    const raw = safeReadJSON(MULTI_AUTH_FILE, null);
+    if (isEncrypted(raw)) {
+      console.log("✓ Accounts file is already encrypted");
+      return null;
+    }
+    if (!isPlainObject(raw)) {
+      console.log(`❌ Cannot read ${MULTI_AUTH_FILE}`);
+      return null;
+    }
+    const envelope = encryptJSON(raw);
+    if (!isSame(decryptJSON(envelope.encrypted), raw)) {
+      console.log("❌ Encryption round-trip check failed, file left unchanged");
+      return null;
+    }
+    copyFileSync(MULTI_AUTH_FILE, backup);
+    if (!safeWriteJSON(MULTI_AUTH_FILE, envelope)) return undefined;
+    // safeWriteJSON left the plaintext in .bak; replace it with the encrypted copy
+    copyFileSync(MULTI_AUTH_FILE, MULTI_AUTH_FILE + ".bak");
+    return envelope.encrypted.kdf;
+  });
+  // undefined: the lock was still held or the write failed
+  if (kdf === undefined) return reportNotSaved(MULTI_AUTH_FILE);
+  if (!kdf) return;
+
+  const keySource = kdf === "scrypt" ? `passphrase from ${PASSPHRASE_ENV}` : `key file ${process.env[KEY_FILE_ENV] || KEY_FILE}`;
+  console.log(`✓ Encrypted ${MULTI_AUTH_FILE} (${keySource})`);
+  console.log(`  Plaintext backup: ${backup}`);
+  console.log("  Delete the backup once OpenCode works with the encrypted file.");
+  for (const legacy of [LEGACY_MULTI_AUTH_FILE_CONFIG, LEGACY_MULTI_AUTH_FILE]) {
+    if (existsSync(legacy)) console.log(`⚡ Legacy plaintext file still present: ${legacy}`);
+  }
+}
+
+async function cmdDecrypt() {
+  const backup = MULTI_AUTH_FILE + ".encrypted.bak";
+  const done = await withFileLock(MULTI_AUTH_FILE, () => {
+    const raw = safeReadJSON(MULTI_AUTH_FILE, null);
+    if (!isEncrypted(raw)) {
+      console.log(raw === null ? `❌ No accounts file at ${MULTI_AUTH_FILE}` : "✓ Accounts file is not encrypted");
+      return false;
+    }
+    let data: any;
+    try {
+      data = decryptJSON(raw.encrypted);
+    } catch (e: any) {
+      console.log(`❌ Cannot decrypt ${MULTI_AUTH_FILE}: ${e.message}`);
+      return false;
+    }
+    copyFileSync(MULTI_AUTH_FILE, backup);
+    return safeWriteJSON(MULTI_AUTH_FILE, data) || undefined;
+  });
+  // undefined: the lock was still held or the write failed
+  if (done === undefined) return reportNotSaved(MULTI_AUTH_FILE);
+  if (!done) return;
+
+  console.log(`✓ Decrypted ${MULTI_AUTH_FILE}`);
+  console.log(`  Encrypted backup: ${backup}`);
+}
+
 const usageCommand = Command.make(
   "usage",
   {
     watch: Options.boolean("watch").pipe(Options.withAlias("w")),
+    json: Options.boolean("json"),
   },
-  ({ watch }) =>
+  ({ watch, json }) =>
     Effect.sync(() => {
-      cmdUsage(watch ? ["--watch"] : []);
+      cmdUsage([...(watch ? ["--watch"] : []), ...(json ? ["--json"] : [])]);
     })
 ).pipe(Command.withDescription("Show usage across all accounts"));
 
@@ -777,13 +2155,25 @@ const usageAliasCommand = Command.make(
   "u",
   {
     watch: Options.boolean("watch").pipe(Options.withAlias("w")),
+    json: Options.boolean("json"),
   },
-  ({ watch }) =>
+  ({ watch, json }) =>
     Effect.sync(() => {
-      cmdUsage(watch ? ["--watch"] : []);
+      cmdUsage([...(watch ? ["--watch"] : []), ...(json ? ["--json"] : [])]);
     })
 ).pipe(Command.withDescription("Alias for usage"));
 
+const statusCommand = Command.make(
+  "status",
+  {
+    format: Options.text("format").pipe(Options.withDefault(DEFAULT_STATUS_FORMAT)),
+  },
+  ({ format }) =>
+    Effect.sync(() => {
+      cmdStatus(["--format", format]);
+    })
+).pipe(Command.withDescription("One-line status from a template, e.g. --format '{active} {session5h}%'"));
+
 const configCommand = Command.make(
   "config",
   {
@@ -794,6 +2184,17 @@ const configCommand = Command.make(
     thresholdWeekly: Options.text("threshold-weekly").pipe(Options.optional),
     thresholdSonnet: Options.text("threshold-sonnet").pipe(Options.optional),
     interval: Options.text("interval").pipe(Options.optional),
+    recover: Options.text("recover").pipe(Options.optional),
+    route: Options.text("route").pipe(Options.optional),
+    strategy: Options.text("strategy").pipe(Options.optional),
+    account: Options.text("account").pipe(Options.optional),
+    tier: Options.text("tier").pipe(Options.optional),
+    reserve: Options.text("reserve").pipe(Options.optional),
+    weight: Options.text("weight").pipe(Options.optional),
+    predictive: Options.text("predictive").pipe(Options.optional),
+    affinity: Options.text("affinity").pipe(Options.optional),
+    metrics: Options.text("metrics").pipe(Options.optional),
+    overflowCap: Options.text("overflow-cap").pipe(Options.optional),
     reset: Options.boolean("reset"),
   },
   ({
@@ -804,19 +2205,44 @@ const configCommand = Command.make(
     thresholdWeekly,
     thresholdSonnet,
     interval,
+    recover,
+    route,
+    strategy,
+    account,
+    tier,
+    reserve,
+    weight,
+    predictive,
+    affinity,
+    metrics,
+    overflowCap,
     reset,
   }) =>
-    Effect.sync(() => {
-      const args: string[] = [];
-      if (show) args.push("--show");
-      if (reset) args.push("--reset");
-      if (Option.isSome(threshold)) args.push("--threshold", threshold.value);
-      if (Option.isSome(thresholds)) args.push("--thresholds", thresholds.value);
-      if (Option.isSome(thresholdSession)) args.push("--threshold-session", thresholdSession.value);
-      if (Option.isSome(thresholdWeekly)) args.push("--threshold-weekly", thresholdWeekly.value);
-      if (Option.isSome(thresholdSonnet)) args.push("--threshold-sonnet", thresholdSonnet.value);
-      if (Option.isSome(interval)) args.push("--interval", interval.value);
-      cmdConfig(args);
+    Effect.tryPromise({
+      try: () => {
+        const args: string[] = [];
+        if (show) args.push("--show");
+        if (reset) args.push("--reset");
+        if (Option.isSome(threshold)) args.push("--threshold", threshold.value);
+        if (Option.isSome(thresholds)) args.push("--thresholds", thresholds.value);
+        if (Option.isSome(thresholdSession)) args.push("--threshold-session", thresholdSession.value);
+        if (Option.isSome(thresholdWeekly)) args.push("--threshold-weekly", thresholdWeekly.value);
+        if (Option.isSome(thresholdSonnet)) args.push("--threshold-sonnet", thresholdSonnet.value);
+        if (Option.isSome(interval)) args.push("--interval", interval.value);
+        if (Option.isSome(recover)) args.push("--recover", recover.value);
+        if (Option.isSome(route)) args.push("--route", route.value);
+        if (Option.isSome(strategy)) args.push("--strategy", strategy.value);
+        if (Option.isSome(account)) args.push("--account", account.value);
+        if (Option.isSome(tier)) args.push("--tier", tier.value);
+        if (Option.isSome(reserve)) args.push("--reserve", reserve.value);
+        if (Option.isSome(weight)) args.push("--weight", weight.value);
+        if (Option.isSome(predictive)) args.push("--predictive", predictive.value);
+        if (Option.isSome(affinity)) args.push("--affinity", affinity.value);
+        if (Option.isSome(metrics)) args.push("--metrics", metrics.value);
+        if (Option.isSome(overflowCap)) args.push("--overflow-cap", overflowCap.value);
+        return cmdConfig(args);
+      },
+      catch: (err) => (err instanceof Error ? err : new Error(String(err))),
     })
 ).pipe(Command.withDescription("Show or update threshold configuration"));
 
@@ -830,6 +2256,17 @@ const configAliasCommand = Command.make(
     thresholdWeekly: Options.text("threshold-weekly").pipe(Options.optional),
     thresholdSonnet: Options.text("threshold-sonnet").pipe(Options.optional),
     interval: Options.text("interval").pipe(Options.optional),
+    recover: Options.text("recover").pipe(Options.optional),
+    route: Options.text("route").pipe(Options.optional),
+    strategy: Options.text("strategy").pipe(Options.optional),
+    account: Options.text("account").pipe(Options.optional),
+    tier: Options.text("tier").pipe(Options.optional),
+    reserve: Options.text("reserve").pipe(Options.optional),
+    weight: Options.text("weight").pipe(Options.optional),
+    predictive: Options.text("predictive").pipe(Options.optional),
+    affinity: Options.text("affinity").pipe(Options.optional),
+    metrics: Options.text("metrics").pipe(Options.optional),
+    overflowCap: Options.text("overflow-cap").pipe(Options.optional),
     reset: Options.boolean("reset"),
   },
   ({
@@ -840,19 +2277,44 @@ const configAliasCommand = Command.make(
     thresholdWeekly,
     thresholdSonnet,
     interval,
+    recover,
+    route,
+    strategy,
+    account,
+    tier,
+    reserve,
+    weight,
+    predictive,
+    affinity,
+    metrics,
+    overflowCap,
     reset,
   }) =>
-    Effect.sync(() => {
-      const args: string[] = [];
-      if (show) args.push("--show");
-      if (reset) args.push("--reset");
-      if (Option.isSome(threshold)) args.push("--threshold", threshold.value);
-      if (Option.isSome(thresholds)) args.push("--thresholds", thresholds.value);
-      if (Option.isSome(thresholdSession)) args.push("--threshold-session", thresholdSession.value);
-      if (Option.isSome(thresholdWeekly)) args.push("--threshold-weekly", thresholdWeekly.value);
-      if (Option.isSome(thresholdSonnet)) args.push("--threshold-sonnet", thresholdSonnet.value);
-      if (Option.isSome(interval)) args.push("--interval", interval.value);
-      cmdConfig(args);
+    Effect.tryPromise({
+      try: () => {
+        const args: string[] = [];
+        if (show) args.push("--show");
+        if (reset) args.push("--reset");
+        if (Option.isSome(threshold)) args.push("--threshold", threshold.value);
+        if (Option.isSome(thresholds)) args.push("--thresholds", thresholds.value);
+        if (Option.isSome(thresholdSession)) args.push("--threshold-session", thresholdSession.value);
+        if (Option.isSome(thresholdWeekly)) args.push("--threshold-weekly", thresholdWeekly.value);
+        if (Option.isSome(thresholdSonnet)) args.push("--threshold-sonnet", thresholdSonnet.value);
+        if (Option.isSome(interval)) args.push("--interval", interval.value);
+        if (Option.isSome(recover)) args.push("--recover", recover.value);
+        if (Option.isSome(route)) args.push("--route", route.value);
+        if (Option.isSome(strategy)) args.push("--strategy", strategy.value);
+        if (Option.isSome(account)) args.push("--account", account.value);
+        if (Option.isSome(tier)) args.push("--tier", tier.value);
+        if (Option.isSome(reserve)) args.push("--reserve", reserve.value);
+        if (Option.isSome(weight)) args.push("--weight", weight.value);
+        if (Option.isSome(predictive)) args.push("--predictive", predictive.value);
+        if (Option.isSome(affinity)) args.push("--affinity", affinity.value);
+        if (Option.isSome(metrics)) args.push("--metrics", metrics.value);
+        if (Option.isSome(overflowCap)) args.push("--overflow-cap", overflowCap.value);
+        return cmdConfig(args);
+      },
+      catch: (err) => (err instanceof Error ? err : new Error(String(err))),
     })
 ).pipe(Command.withDescription("Alias for config"));
 
@@ -941,23 +2403,277 @@ const reauthCommand = Command.make(
     })
 ).pipe(Command.withDescription("Re-authenticate an existing account (JSON output)"));
 
+const historyCommand = Command.make(
+  "history",
+  {
+    since: Options.text("since").pipe(Options.withDefault("24h")),
+    account: Options.text("account").pipe(Options.optional),
+  },
+  ({ since, account }) =>
+    Effect.sync(() => {
+      const args = ["--since", since];
+      if (Option.isSome(account)) args.push("--account", account.value);
+      cmdHistory(args);
+    })
+).pipe(Command.withDescription("Show utilization history sparklines (--since 24h, 7d, ...)"));
+
+const eventsCommand = Command.make(
+  "events",
+  {
+    type: Options.text("type").pipe(Options.optional),
+    account: Options.text("account").pipe(Options.optional),
+    since: Options.text("since").pipe(Options.optional),
+    limit: Options.integer("limit").pipe(Options.withDefault(50)),
+    follow: Options.boolean("follow").pipe(Options.withAlias("f")),
+  },
+  ({ type, account, since, limit, follow }) =>
+    Effect.sync(() => {
+      const args = ["--limit", String(limit)];
+      if (Option.isSome(type)) args.push("--type", type.value);
+      if (Option.isSome(account)) args.push("--account", account.value);
+      if (Option.isSome(since)) args.push("--since", since.value);
+      if (follow) args.push("--follow");
+      cmdEvents(args);
+    })
+).pipe(Command.withDescription("Show the event log (switches, failovers, refreshes, auth failures)"));
+
+const serveMetricsCommand = Command.make(
+  "serve-metrics",
+  {
+    port: Options.integer("port").pipe(Options.optional),
+  },
+  ({ port }) =>
+    Effect.sync(() => {
+      cmdServeMetrics(Option.isSome(port) ? ["--port", String(port.value)] : []);
+    })
+).pipe(Command.withDescription("Serve Prometheus/OpenMetrics metrics on 127.0.0.1"));
+
+const serveCommand = Command.make(
+  "serve",
+  {
+    port: Options.integer("port").pipe(Options.withDefault(PROXY_DEFAULT_PORT)),
+    host: Options.text("host").pipe(Options.withDefault("127.0.0.1")),
+  },
+  ({ port, host }) =>
+    Effect.tryPromise({
+      try: () => cmdServe(port, host),
+      catch: (err) => (err instanceof Error ? err : new Error(String(err))),
+    })
+).pipe(Command.withDescription("Local Anthropic API proxy over the account pool (ANTHROPIC_BASE_URL)"));
+
+const encryptCommand = Command.make("encrypt", {}, () =>
+  Effect.tryPromise({
+    try: () => cmdEncrypt(),
+    catch: (err) => (err instanceof Error ? err : new Error(String(err))),
+  })
+).pipe(Command.withDescription("Encrypt the accounts file in place (keeps a plaintext backup)"));
+
+const decryptCommand = Command.make("decrypt", {}, () =>
+  Effect.tryPromise({
+    try: () => cmdDecrypt(),
+    catch: (err) => (err instanceof Error ? err : new Error(String(err))),
+  })
+).pipe(Command.withDescription("Decrypt the accounts file in place (keeps an encrypted backup)"));
+
+const removeCommand = Command.make(
+  "remove",
+  {
+    name: accountNameArg,
+    yes: Options.boolean("yes").pipe(Options.withAlias("y")),
+  },
+  ({ name, yes }) =>
+    Effect.tryPromise({
+      try: () => cmdRemove(name, yes),
+      catch: (err) => (err instanceof Error ? err : new Error(String(err))),
+    })
+).pipe(Command.withDescription("Remove an account and its state"));
+
+const renameCommand = Command.make(
+  "rename",
+  {
+    name: accountNameArg,
+    newName: Args.text({ name: "new-name" }),
+  },
+  ({ name, newName }) =>
+    Effect.tryPromise({
+      try: () => cmdRename(name, newName),
+      catch: (err) => (err instanceof Error ? err : new Error(String(err))),
+    })
+).pipe(Command.withDescription("Rename an account (state follows)"));
+
+const moveCommand = Command.make(
+  "move",
+  {
+    name: accountNameArg,
+    position: Args.integer({ name: "position" }),
+  },
+  ({ name, position }) =>
+    Effect.tryPromise({
+      try: () => cmdMove(name, position),
+      catch: (err) => (err instanceof Error ? err : new Error(String(err))),
+    })
+).pipe(Command.withDescription("Move an account to a position (1 = primary)"));
+
+const setPrimaryCommand = Command.make(
+  "set-primary",
+  {
+    name: accountNameArg,
+  },
+  ({ name }) =>
+    Effect.tryPromise({
+      try: () => cmdMove(name, 1),
+      catch: (err) => (err instanceof Error ? err : new Error(String(err))),
+    })
+).pipe(Command.withDescription("Make an account the primary"));
+
+const switchCommand = Command.make(
+  "switch",
+  {
+    name: accountNameArg,
+  },
+  ({ name }) =>
+    Effect.tryPromise({
+      try: () => cmdSwitch(name),
+      catch: (err) => (err instanceof Error ? err : new Error(String(err))),
+    })
+).pipe(Command.withDescription("Switch the active account now (threshold logic continues)"));
+
+const pinCommand = Command.make(
+  "pin",
+  {
+    name: accountNameArg,
+    for: Options.text("for").pipe(Options.optional),
+    until: Options.text("until").pipe(Options.optional),
+  },
+  (opts) =>
+    Effect.tryPromise({
+      try: () =>
+        cmdPin(
+          opts.name,
+          Option.isSome(opts.for) ? opts.for.value : undefined,
+          Option.isSome(opts.until) ? opts.until.value : undefined,
+        ),
+      catch: (err) => (err instanceof Error ? err : new Error(String(err))),
+    })
+).pipe(Command.withDescription("Use one account ahead of threshold logic (--for 2h, --until 18:00)"));
+
+const excludeCommand = Command.make(
+  "exclude",
+  {
+    name: accountNameArg,
+    until: Options.text("until").pipe(Options.optional),
+  },
+  ({ name, until }) =>
+    Effect.tryPromise({
+      try: () => cmdExclude(name, Option.isSome(until) ? until.value : undefined),
+      catch: (err) => (err instanceof Error ? err : new Error(String(err))),
+    })
+).pipe(Command.withDescription("Never use an account until a time (default: end of today)"));
+
+const unpinCommand = Command.make(
+  "unpin",
+  {
+    name: Args.text({ name: "name" }).pipe(Args.optional),
+  },
+  ({ name }) =>
+    Effect.tryPromise({
+      try: () => cmdUnpin(Option.isSome(name) ? name.value : undefined),
+      catch: (err) => (err instanceof Error ? err : new Error(String(err))),
+    })
+).pipe(Command.withDescription("Clear the pin and exclusions (or only those of one account)"));
+
+const doctorCommand = Command.make(
+  "doctor",
+  {
+    json: Options.boolean("json"),
+  },
+  ({ json }) =>
+    Effect.sync(() => {
+      cmdDoctor(json ? ["--json"] : []);
+    })
+).pipe(Command.withDescription("Check the setup: environment, files, duplicates, tokens, cooldowns"));
+
+const importCommand = Command.make(
+  "import",
+  {
+    name: Options.text("name").pipe(Options.optional),
+    source: Args.text({ name: "source" }),
+  },
+  ({ name, source }) =>
+    Effect.tryPromise({
+      try: () => cmdImport(source, Option.isSome(name) ? name.value : undefined),
+      catch: (err) => (err instanceof Error ? err : new Error(String(err))),
+    })
+).pipe(Command.withDescription("Import OAuth accounts: opencode, claude-code, or a path to an accounts file / bundle"));
+
+const exportCommand = Command.make(
+  "export",
+  {
+    encrypt: Options.boolean("encrypt"),
+    file: Args.text({ name: "file" }),
+  },
+  ({ encrypt, file }) =>
+    Effect.tryPromise({
+      try: () => cmdExport(file, encrypt),
+      catch: (err) => (err instanceof Error ? err : new Error(String(err))),
+    })
+).pipe(Command.withDescription("Write all accounts to a portable bundle (--encrypt: passphrase-protected)"));
+
+const overflowCommand = Command.make(
+  "overflow",
+  {
+    remove: Options.boolean("remove"),
+  },
+  ({ remove }) =>
+    Effect.tryPromise({
+      try: () => cmdOverflow(remove),
+      catch: (err) => (err instanceof Error ? err : new Error(String(err))),
+    })
+).pipe(Command.withDescription("Set (prompted) or --remove the pay-as-you-go API key used when every account is exhausted"));
+
 const rootCommand = Command.make("anthropic-multi-account", {}).pipe(
   Command.withDescription("Manage multiple Anthropic Max accounts for OpenCode"),
   Command.withSubcommands([
     usageCommand,
     usageAliasCommand,
+    statusCommand,
     configCommand,
     configAliasCommand,
     pingCommand,
     reauthCommand,
     addCommand,
     addAliasCommand,
+    importCommand,
+    exportCommand,
+    overflowCommand,
+    removeCommand,
+    renameCommand,
+    moveCommand,
+    setPrimaryCommand,
+    switchCommand,
+    pinCommand,
+    excludeCommand,
+    unpinCommand,
+    historyCommand,
+    eventsCommand,
+    serveMetricsCommand,
+    serveCommand,
+    doctorCommand,
+    encryptCommand,
+    decryptCommand,
   ])
 );
 
+// Events written by the CLI are tagged so `events` can tell them from the plugin's
+configure({ source: "cli" });
+
 const cli = Command.run(rootCommand, {
   name: "anthropic-multi-account",
   version: "1.0.5",
 });
 
-cli(process.argv).pipe(Effect.provide(BunContext.layer), BunRuntime.runMain);
+cli(process.argv).pipe(
+  Effect.ensuring(Effect.promise(() => Promise.all(backgroundSaves))),
+  Effect.provide(BunContext.layer),
+  BunRuntime.runMain,
+);
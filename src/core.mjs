@@ -0,0 +1,2129 @@
+/**
+ * Shared core of the plugin, the CLI and the local proxy: account and state files
+ * (merge-on-write, encryption), usage capture, selection strategies, token refresh,
+ * history, events and metrics.
+ *
+ * Public API for scripts (`import { ... } from "oc-anthropic-multi-account/core"`):
+ * `listAccounts()`, `getStatus()`, `selectAccount()`, `recordResponse()` and `configure()`.
+ * The other exports are shared with the plugin and the CLI and may change between releases.
+ */
+
+import { createHash, createCipheriv, createDecipheriv, randomBytes, scryptSync } from "crypto";
+import { readFileSync, writeFileSync, appendFileSync, existsSync, copyFileSync, renameSync, mkdirSync, openSync, closeSync, unlinkSync, statSync } from "fs";
+import { homedir } from "os";
+import { join, dirname } from "path";
+
+const CLIENT_ID = "9d1c250a-e61b-44d9-88ed-5944d1962f5e";
+const AUTH_FILE = join(homedir(), ".local/share/opencode/auth.json");
+const CONFIG_DIR = join(homedir(), ".config/opencode");
+const MULTI_AUTH_FILE = join(CONFIG_DIR, "anthropic-multi-account-accounts.json");
+const LEGACY_MULTI_AUTH_FILE_CONFIG = join(CONFIG_DIR, "anthropic-multi-accounts.json");
+const LEGACY_MULTI_AUTH_FILE = join(homedir(), ".local/share/opencode/multi-account-auth.json");
+const STATE_FILE = join(CONFIG_DIR, "anthropic-multi-account-state.json");
+const LEGACY_STATE_FILE = join(homedir(), ".local/share/opencode/multi-account-state.json");
+const HISTORY_FILE = join(CONFIG_DIR, "anthropic-multi-account-history.jsonl");
+const EVENT_LOG_FILE = join(CONFIG_DIR, "anthropic-multi-account-events.jsonl");
+const KEY_FILE = join(CONFIG_DIR, "anthropic-multi-account.key");
+const PASSPHRASE_ENV = "ANTHROPIC_MULTI_ACCOUNT_PASSPHRASE";
+const KEY_FILE_ENV = "ANTHROPIC_MULTI_ACCOUNT_KEY_FILE";
+
+// Process-wide hooks, see configure()
+const runtime = { log: (...args) => console.log(...args), source: null };
+
+/**
+ * @param {{ log?: (...args: any[]) => void, source?: string | null }} options
+ *   `log` receives informational `[multi-account]` lines (warnings and errors still go to stderr);
+ *   `source` is added to every logged event, e.g. "cli" or "proxy".
+ * @returns the previous settings, so a caller can restore them
+ */
+function configure({ log, source } = {}) {
+  const previous = { ...runtime };
+  if (log) runtime.log = log;
+  if (source !== undefined) runtime.source = source;
+  return previous;
+}
+
+function readJsonWithFallback(filePaths, fallback) {
+  for (const filePath of filePaths) {
+    const data = safeReadJSON(filePath, null);
+    if (data !== null) return { data, sourcePath: filePath };
+  }
+  return { data: fallback, sourcePath: null };
+}
+
+function normalizeAccountFields(account) {
+  if (!account || typeof account !== "object") {
+    return account;
+  }
+
+  const normalized = { ...account };
+  let changed = false;
+
+  if ((!normalized.access || typeof normalized.access !== "string") && typeof normalized.accessToken === "string") {
+    normalized.access = normalized.accessToken;
+    changed = true;
+  }
+
+  if ((!normalized.refresh || typeof normalized.refresh !== "string") && typeof normalized.refreshToken === "string") {
+    normalized.refresh = normalized.refreshToken;
+    changed = true;
+  }
+
+  if (typeof normalized.expires !== "number") {
+    if (typeof normalized.expiresAt === "number" && Number.isFinite(normalized.expiresAt)) {
+      normalized.expires = normalized.expiresAt;
+      changed = true;
+    } else if (typeof normalized.expiresAt === "string") {
+      const parsed = Date.parse(normalized.expiresAt);
+      if (Number.isFinite(parsed)) {
+        normalized.expires = parsed;
+        changed = true;
+      }
+    }
+  }
+
+  return changed ? normalized : account;
+}
+
+function normalizeMultiAuthShape(multiAuth) {
+  if (!multiAuth || typeof multiAuth !== "object" || !Array.isArray(multiAuth.accounts)) {
+    return { value: multiAuth, changed: false };
+  }
+
+  let changed = false;
+  const accounts = multiAuth.accounts.map((account) => {
+    const normalized = normalizeAccountFields(account);
+    if (normalized !== account) changed = true;
+    return normalized;
+  });
+
+  if (!changed) {
+    return { value: multiAuth, changed: false };
+  }
+
+  return { value: { ...multiAuth, accounts }, changed: true };
+}
+
+function getAccountExpiry(account) {
+  const normalized = normalizeAccountFields(account);
+  if (typeof normalized?.expires === "number" && Number.isFinite(normalized.expires)) {
+    return normalized.expires;
+  }
+  return 0;
+}
+
+function hasRefreshToken(account) {
+  return typeof account?.refresh === "string" && account.refresh.length > 0;
+}
+
+function pickPreferredAccount(current, candidate) {
+  if (!current) return candidate;
+
+  const currentHasRefresh = hasRefreshToken(current);
+  const candidateHasRefresh = hasRefreshToken(candidate);
+
+  if (candidateHasRefresh && !currentHasRefresh) {
+    return candidate;
+  }
+
+  if (getAccountExpiry(candidate) > getAccountExpiry(current)) {
+    return candidate;
+  }
+
+  return current;
+}
+
+function mergeMultiAuthSources(sourceDataList) {
+  const mergedByName = new Map();
+  let requestCount = 0;
+  let overflow = null;
+
+  for (const source of sourceDataList) {
+    if (!source || !Array.isArray(source.accounts)) continue;
+
+    if (typeof source.requestCount === "number" && source.requestCount > requestCount) {
+      requestCount = source.requestCount;
+    }
+    if (!overflow && isPlainObject(source.overflow)) overflow = source.overflow;
+
+    for (const rawAccount of source.accounts) {
+      const account = normalizeAccountFields(rawAccount);
+      if (!account?.name) continue;
+      const current = mergedByName.get(account.name);
+      mergedByName.set(account.name, pickPreferredAccount(current, account));
+    }
+  }
+
+  if (mergedByName.size === 0 && !overflow) return null;
+
+  return {
+    accounts: Array.from(mergedByName.values()),
+    requestCount,
+    ...(overflow && { overflow }),
+  };
+}
+
+// Safe JSON read with .bak fallback
+function safeReadJSON(filePath, fallback) {
+  for (const path of [filePath, filePath + '.bak']) {
+    if (!existsSync(path)) continue;
+    try {
+      const data = JSON.parse(readFileSync(path, "utf-8"));
+      if (path.endsWith('.bak')) {
+        runtime.log(`[multi-account] Recovered ${filePath} from backup`);
+      }
+      return data;
+    } catch {
+      continue;
+    }
+  }
+  return fallback;
+}
+
+// Atomic write: backup current → write to .tmp → rename to target
+// Returns false (after logging) when the file could not be written
+function safeWriteJSON(filePath, data) {
+  try {
+    mkdirSync(dirname(filePath), { recursive: true });
+    if (existsSync(filePath)) {
+      copyFileSync(filePath, filePath + '.bak');
+    }
+    const tmp = filePath + '.tmp';
+    writeFileSync(tmp, JSON.stringify(data, null, 2));
+    renameSync(tmp, filePath);
+    return true;
+  } catch (e) {
+    console.error(`[multi-account] Failed to save ${filePath}:`, e);
+    return false;
+  }
+}
+
+/**
+ * Create an advisory lock file exclusively. A lock older than `staleMs` is assumed
+ * to belong to a crashed process and is taken over.
+ * @returns {boolean} true when the lock is held (or locking is impossible, e.g. read-only dir)
+ */
+function acquireFileLock(lockPath, staleMs) {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      mkdirSync(dirname(lockPath), { recursive: true });
+      const fd = openSync(lockPath, "wx");
+      writeFileSync(fd, JSON.stringify({ pid: process.pid, at: Date.now() }));
+      closeSync(fd);
+      return true;
+    } catch (e) {
+      if (e?.code !== "EEXIST") return true;
+      try {
+        if (Date.now() - statSync(lockPath).mtimeMs <= staleMs) return false;
+        unlinkSync(lockPath);
+      } catch {
+        // lock vanished between open and stat: retry
+      }
+    }
+  }
+  return false;
+}
+
+function releaseFileLock(lockPath) {
+  try {
+    unlinkSync(lockPath);
+  } catch {
+    // already gone
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Merge-on-write: every save takes an advisory lock, re-reads the file and merges
+// this writer's changes (relative to what it loaded) into the current contents,
+// so concurrent OpenCode windows and the CLI never drop each other's updates.
+// ---------------------------------------------------------------------------
+
+const WRITE_LOCK_STALE = 10 * 1000;
+// Longer than WRITE_LOCK_STALE, so a crashed holder's lock is taken over before giving up
+const WRITE_LOCK_WAIT = WRITE_LOCK_STALE + 2 * 1000;
+const WRITE_LOCK_POLL = 10;
+const TOKEN_FIELDS = ["access", "refresh", "expires", "accessToken", "refreshToken", "expiresAt"];
+
+// Snapshot of each loaded state/accounts object as read from disk (the merge base)
+const loadedSnapshots = new WeakMap();
+
+function rememberLoaded(data) {
+  if (data && typeof data === "object") {
+    loadedSnapshots.set(data, structuredClone(data));
+  }
+  return data;
+}
+
+/**
+ * Run fn while holding `<file>.lock`. Uncontended, fn runs before this returns; otherwise the
+ * lock is polled on a timer so the plugin host's event loop keeps running. fn never runs
+ * without the lock: after WRITE_LOCK_WAIT the write is skipped (resolving to undefined), and
+ * since a skipped save does not move its merge base, the object's next save carries it again.
+ * @returns {Promise<any>} fn's result
+ */
+async function withFileLock(filePath, fn) {
+  const lockPath = filePath + ".lock";
+  const deadline = Date.now() + WRITE_LOCK_WAIT;
+  while (!acquireFileLock(lockPath, WRITE_LOCK_STALE)) {
+    if (Date.now() >= deadline) {
+      console.error(`[multi-account] Not writing ${filePath}: ${lockPath} is still held after ${WRITE_LOCK_WAIT / 1000}s`);
+      return undefined;
+    }
+    await sleep(WRITE_LOCK_POLL);
+  }
+  try {
+    return fn();
+  } catch (e) {
+    console.error(`[multi-account] Failed to update ${filePath}:`, e);
+    return undefined;
+  } finally {
+    releaseFileLock(lockPath);
+  }
+}
+
+function isSame(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function usageTime(entry) {
+  const time = Date.parse(entry?.timestamp ?? "");
+  return Number.isFinite(time) ? time : 0;
+}
+
+/**
+ * Three-way merge of one map level: entries this writer changed (vs `base`) win,
+ * untouched entries keep the disk value. `resolve` settles entries both sides hold.
+ */
+function mergeEntries(disk, mine, base, resolve = null) {
+  const merged = { ...disk };
+  for (const key of new Set([...Object.keys(mine), ...Object.keys(base)])) {
+    if (isSame(mine[key], base[key])) continue;
+    if (mine[key] === undefined) {
+      delete merged[key];
+    } else {
+      merged[key] = resolve && disk[key] !== undefined ? resolve(disk[key], mine[key]) : mine[key];
+    }
+  }
+  return merged;
+}
+
+// Additive merge for a tree of counters: adds this writer's increments (mine - base) to disk
+function mergeCounters(disk, mine, base) {
+  if (typeof mine === "number") {
+    return (typeof disk === "number" ? disk : 0) + mine - (typeof base === "number" ? base : 0);
+  }
+  if (!isPlainObject(mine)) return mine;
+  const merged = isPlainObject(disk) ? { ...disk } : {};
+  const baseTree = isPlainObject(base) ? base : {};
+  for (const key of Object.keys(mine)) {
+    merged[key] = mergeCounters(merged[key], mine[key], baseTree[key]);
+  }
+  for (const key of Object.keys(baseTree)) {
+    if (!(key in mine)) delete merged[key];
+  }
+  return merged;
+}
+
+// State maps keyed by account name (or conversation fingerprint for `affinity`)
+const KEYED_STATE_MAPS = new Set(["usage", "authFailures", "rateLimited", "excluded", "burn", "affinity"]);
+
+/**
+ * Merge state for writing. Per-account `usage` keeps the newest `timestamp`,
+ * `requestCount`, `tokens`, `counters` and `overflow` add this writer's increments to the disk
+ * value, and other keys are merged one level deep with mergeEntries. A keyed map another
+ * writer deleted counts as empty, so entries this writer left untouched stay deleted.
+ */
+function mergeState(disk, mine, base) {
+  const merged = { ...disk };
+  for (const key of new Set([...Object.keys(disk), ...Object.keys(mine), ...Object.keys(base)])) {
+    if (isSame(mine[key], base[key])) continue;
+    if (key === "requestCount") {
+      merged.requestCount = (disk.requestCount || 0) + (mine.requestCount || 0) - (base.requestCount || 0);
+    } else if ((key === "tokens" || key === "counters" || key === "overflow") && isPlainObject(mine[key])) {
+      merged[key] = mergeCounters(disk[key], mine[key], base[key]);
+    } else if (isPlainObject(mine[key]) && (isPlainObject(disk[key]) || KEYED_STATE_MAPS.has(key))) {
+      const resolve = key === "usage" ? (a, b) => (usageTime(b) >= usageTime(a) ? b : a) : null;
+      const entries = mergeEntries(isPlainObject(disk[key]) ? disk[key] : {}, mine[key], isPlainObject(base[key]) ? base[key] : {}, resolve);
+      if (isPlainObject(disk[key]) || Object.keys(entries).length) merged[key] = entries;
+      else delete merged[key];
+    } else if (mine[key] === undefined) {
+      delete merged[key];
+    } else {
+      merged[key] = mine[key];
+    }
+  }
+  return merged;
+}
+
+/**
+ * Merge the accounts file for writing. Accounts are matched by name; for each one the
+ * token set with the newest `expires` wins as a unit, other fields merge like state.
+ * Accounts added elsewhere are kept, accounts this writer removed are dropped, and other
+ * top-level keys (e.g. `overflow`) merge with mergeEntries.
+ */
+function mergeMultiAuth(disk, mine, base) {
+  const byName = (list) => new Map((list || []).filter((account) => account?.name).map((account) => [account.name, account]));
+  const diskAccounts = byName(disk.accounts);
+  const baseAccounts = byName(base.accounts);
+  const mineAccounts = byName(mine.accounts);
+  const accounts = [];
+
+  for (const account of mine.accounts || []) {
+    const onDisk = diskAccounts.get(account.name);
+    const loaded = baseAccounts.get(account.name);
+    if (!onDisk) {
+      // Removed by another writer and untouched here: stay removed
+      if (loaded && isSame(account, loaded)) continue;
+      accounts.push(account);
+      continue;
+    }
+    const merged = mergeEntries(onDisk, account, loaded || {});
+    const newest = getAccountExpiry(onDisk) > getAccountExpiry(account) ? onDisk : account;
+    for (const field of TOKEN_FIELDS) {
+      if (newest[field] === undefined) delete merged[field];
+      else merged[field] = newest[field];
+    }
+    accounts.push(merged);
+  }
+
+  for (const account of disk.accounts || []) {
+    if (!account?.name || mineAccounts.has(account.name) || baseAccounts.has(account.name)) continue;
+    accounts.push(account);
+  }
+
+  return {
+    ...mergeEntries(disk, mine, base),
+    accounts,
+    requestCount: Math.max(disk.requestCount || 0, mine.requestCount || 0),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Encryption at rest: an encrypted accounts file holds only an `encrypted` envelope
+// (AES-256-GCM). The key comes from a passphrase env var (scrypt) or a key file.
+// Once a file is encrypted, every save keeps it encrypted.
+// ---------------------------------------------------------------------------
+
+const derivedKeys = new Map();
+
+/**
+ * Key material for the given kdf, or whichever is configured when kdf is omitted.
+ * @returns {{kdf: "scrypt" | "keyfile", secret: string | Buffer} | null}
+ */
+function getEncryptionSecret(kdf = null) {
+  const passphrase = process.env[PASSPHRASE_ENV];
+  if (passphrase && kdf !== "keyfile") return { kdf: "scrypt", secret: passphrase };
+  const keyFile = process.env[KEY_FILE_ENV] || KEY_FILE;
+  if (kdf !== "scrypt" && existsSync(keyFile)) return { kdf: "keyfile", secret: readFileSync(keyFile) };
+  return null;
+}
+
+// scrypt is deliberately slow, so derived keys are cached per salt
+function deriveKey(source, salt) {
+  const cacheKey = `${source.kdf}:${createHash("sha256").update(source.secret).digest("hex")}:${salt}`;
+  let key = derivedKeys.get(cacheKey);
+  if (!key) {
+    const saltBytes = Buffer.from(salt, "base64");
+    key = source.kdf === "scrypt"
+      ? scryptSync(source.secret, saltBytes, 32)
+      : createHash("sha256").update(saltBytes).update(source.secret).digest();
+    derivedKeys.set(cacheKey, key);
+  }
+  return key;
+}
+
+function isEncrypted(data) {
+  return isPlainObject(data) && isPlainObject(data.encrypted);
+}
+
+// Re-encrypting keeps the previous envelope's kdf and salt so the cached key is reused.
+// `source` overrides the configured key (export bundles always use a passphrase).
+function encryptJSON(value, previous = null, source = getEncryptionSecret(previous?.kdf)) {
+  if (!source) throw new Error(`no encryption key (set ${PASSPHRASE_ENV} or create ${KEY_FILE})`);
+  const salt = previous?.salt ?? randomBytes(16).toString("base64");
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", deriveKey(source, salt), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), "utf8"), cipher.final()]);
+  return {
+    encrypted: {
+      v: 1,
+      alg: "aes-256-gcm",
+      kdf: source.kdf,
+      salt,
+      iv: iv.toString("base64"),
+      tag: cipher.getAuthTag().toString("base64"),
+      data: data.toString("base64"),
+    },
+  };
+}
+
+function decryptJSON(envelope, source = getEncryptionSecret(envelope.kdf)) {
+  if (!source) {
+    throw new Error(envelope.kdf === "scrypt" ? `${PASSPHRASE_ENV} is not set` : `key file not found (${process.env[KEY_FILE_ENV] || KEY_FILE})`);
+  }
+  const decipher = createDecipheriv("aes-256-gcm", deriveKey(source, envelope.salt), Buffer.from(envelope.iv, "base64"));
+  decipher.setAuthTag(Buffer.from(envelope.tag, "base64"));
+  const data = Buffer.concat([decipher.update(Buffer.from(envelope.data, "base64")), decipher.final()]);
+  return JSON.parse(data.toString("utf8"));
+}
+
+// safeReadJSON for the accounts file, decrypting it when encrypted. A missing or wrong key
+// logs and returns null; with `strict` it throws instead (the CLI fails loudly).
+function readMultiAuthFile(filePath, strict = false) {
+  const data = safeReadJSON(filePath, null);
+  if (!isEncrypted(data)) return data;
+  try {
+    return decryptJSON(data.encrypted);
+  } catch (e) {
+    if (strict) throw new Error(`Cannot decrypt ${filePath}: ${e.message}`);
+    console.error(`[multi-account] Cannot decrypt ${filePath}: ${e.message}`);
+    return null;
+  }
+}
+
+// Read multi-account-auth.json (separate file for multi-account tokens), merged with legacy copies
+function getMultiAuth({ strict = false } = {}) {
+  const sourcePaths = [
+    MULTI_AUTH_FILE,
+    LEGACY_MULTI_AUTH_FILE_CONFIG,
+    LEGACY_MULTI_AUTH_FILE,
+  ];
+
+  const sources = [];
+
+  for (const sourcePath of sourcePaths) {
+    const data = readMultiAuthFile(sourcePath, strict);
+    if (!data || typeof data !== "object") continue;
+
+    const normalized = normalizeMultiAuthShape(data);
+    if (!normalized.value || !Array.isArray(normalized.value.accounts)) continue;
+    sources.push({ sourcePath, data: normalized.value });
+  }
+
+  if (sources.length === 0) return null;
+
+  const merged = mergeMultiAuthSources(sources.map((source) => source.data));
+  if (!merged) return null;
+
+  const canonical = sources.find((source) => source.sourcePath === MULTI_AUTH_FILE)?.data ?? null;
+
+  if (!canonical || JSON.stringify(canonical) !== JSON.stringify(merged)) {
+    saveMultiAuth(merged);
+  }
+
+  return rememberLoaded(merged);
+}
+
+/**
+ * Save multi-account-auth.json, merged with concurrent writers (and re-encrypted if it was encrypted).
+ * @returns {Promise<boolean>} false when the write was skipped (lock still held, file cannot be
+ *   decrypted, write error)
+ */
+async function saveMultiAuth(multiAuth) {
+  const written = await withFileLock(MULTI_AUTH_FILE, () => {
+    const raw = safeReadJSON(MULTI_AUTH_FILE, null);
+    const encrypted = isEncrypted(raw);
+    let disk = raw;
+    if (encrypted) {
+      disk = readMultiAuthFile(MULTI_AUTH_FILE);
+      if (!disk) {
+        // Never replace an encrypted file we cannot read
+        console.error(`[multi-account] Not saving ${MULTI_AUTH_FILE}: it is encrypted and cannot be decrypted`);
+        return false;
+      }
+    }
+    disk = normalizeMultiAuthShape(disk).value;
+    const base = loadedSnapshots.get(multiAuth) ?? disk ?? {};
+    const merged = isPlainObject(disk) ? mergeMultiAuth(disk, multiAuth, base) : multiAuth;
+    try {
+      if (!safeWriteJSON(MULTI_AUTH_FILE, encrypted ? encryptJSON(merged, raw.encrypted) : merged)) return false;
+    } catch (e) {
+      console.error(`[multi-account] Failed to save ${MULTI_AUTH_FILE}: ${e.message}`);
+      return false;
+    }
+    // Later saves of this object only carry changes made after this one
+    rememberLoaded(multiAuth);
+    return true;
+  });
+  return written === true;
+}
+
+// Read state.json (usage, currentAccount, requestCount)
+function getState() {
+  const { data, sourcePath } = readJsonWithFallback(
+    [STATE_FILE, LEGACY_STATE_FILE],
+    {}
+  );
+
+  if (sourcePath === LEGACY_STATE_FILE && data && typeof data === "object") {
+    saveState(data);
+  }
+
+  return rememberLoaded(data);
+}
+
+/**
+ * Save state.json, merged with concurrent writers; `state` is updated to the merged result.
+ * @returns {Promise<boolean>} false when the write was skipped (lock still held, write error)
+ */
+async function saveState(state) {
+  const written = await withFileLock(STATE_FILE, () => {
+    const disk = safeReadJSON(STATE_FILE, null);
+    const base = loadedSnapshots.get(state) ?? disk ?? {};
+    const merged = isPlainObject(disk) ? mergeState(disk, state, base) : state;
+    if (!safeWriteJSON(STATE_FILE, merged)) return false;
+    for (const key of Object.keys(state)) {
+      if (!(key in merged)) delete state[key];
+    }
+    Object.assign(state, merged);
+    rememberLoaded(state);
+    return true;
+  });
+  return written === true;
+}
+
+/**
+ * Normalize threshold/recover config - supports both a single number and per-metric object.
+ * @param {number|{session5h?: number, weekly7d?: number, weekly7dSonnet?: number}} value
+ * @param {number} fallback
+ */
+function normalizeThresholds(value, fallback) {
+  if (typeof value === 'number') return { session5h: value, weekly7d: value, weekly7dSonnet: value };
+  if (typeof value === 'object' && value !== null) {
+    return {
+      session5h: value.session5h ?? fallback,
+      weekly7d: value.weekly7d ?? fallback,
+      weekly7dSonnet: value.weekly7dSonnet ?? fallback
+    };
+  }
+  return { session5h: fallback, weekly7d: fallback, weekly7dSonnet: fallback };
+}
+
+const RECOVER_MARGIN = 0.10;
+
+/**
+ * Resolve per-metric recover thresholds for switching back to primary.
+ * Missing values default to RECOVER_MARGIN below the switch threshold; never above it.
+ * @param {number|{session5h?: number, weekly7d?: number, weekly7dSonnet?: number}} value
+ * @param {{session5h: number, weekly7d: number, weekly7dSonnet: number}} thresholds
+ */
+function normalizeRecover(value, thresholds) {
+  const recover = normalizeThresholds(value, null);
+  for (const key of Object.keys(recover)) {
+    const fallback = Math.max(0, thresholds[key] - RECOVER_MARGIN);
+    recover[key] = Math.min(recover[key] ?? fallback, thresholds[key]);
+  }
+  return recover;
+}
+
+const METRIC_KEYS = ['session5h', 'weekly7d', 'weekly7dSonnet'];
+const METRIC_LABELS = { session5h: 'session (5h)', weekly7d: 'weekly (all)', weekly7dSonnet: 'weekly (Sonnet)' };
+
+/**
+ * Resolve the model family from a model id (e.g. "claude-opus-4-1" → "opus").
+ * @param {string | null | undefined} model
+ */
+function getModelFamily(model) {
+  if (typeof model !== 'string') return null;
+  const id = model.toLowerCase();
+  return ['opus', 'sonnet', 'haiku'].find((family) => id.includes(family)) ?? null;
+}
+
+/**
+ * Metrics that can block a request for the given model.
+ * The Sonnet weekly bucket only limits Sonnet; unknown models are checked against all metrics.
+ * @param {string | null | undefined} model
+ */
+function getApplicableMetrics(model) {
+  const family = getModelFamily(model);
+  if (family && family !== 'sonnet') return ['session5h', 'weekly7d'];
+  return METRIC_KEYS;
+}
+
+// Burn-rate history: a few recent [timestamp, utilization] samples per account and metric,
+// spaced so each metric's lookback window fits in BURN_SAMPLE_LIMIT samples.
+const BURN_SAMPLE_LIMIT = 30;
+const BURN_LOOKBACK = { session5h: 30 * 60 * 1000, weekly7d: 6 * 60 * 60 * 1000, weekly7dSonnet: 6 * 60 * 60 * 1000 };
+const BURN_MIN_SPAN = 5 * 60 * 1000;
+const PREDICTIVE_HORIZON = 60 * 60 * 1000;
+const PREDICTIVE_CEILING = 0.95;
+
+function recordBurnSample(state, accountName, key, utilization, now = Date.now()) {
+  state.burn = state.burn || {};
+  const perAccount = (state.burn[accountName] = state.burn[accountName] || {});
+  let samples = (perAccount[key] || []).filter(([t]) => now - t <= BURN_LOOKBACK[key]);
+  const last = samples[samples.length - 1];
+  // Utilization dropped: the window reset, so the old slope no longer applies
+  if (last && utilization < last[1]) samples = [];
+  const spacing = BURN_LOOKBACK[key] / BURN_SAMPLE_LIMIT;
+  if (samples.length >= 2 && now - samples[samples.length - 2][0] < spacing) {
+    samples[samples.length - 1] = [now, utilization];
+  } else {
+    samples.push([now, utilization]);
+  }
+  perAccount[key] = samples.slice(-BURN_SAMPLE_LIMIT);
+}
+
+/**
+ * Project when a metric reaches 100% at its recent burn rate.
+ * @param {Array<[number, number]> | undefined} samples
+ * @param {string} key - metric key, selects the lookback window
+ * @param {number} utilization - current utilization (0-1)
+ * @returns {number | null} ms timestamp, Infinity when not burning, null without enough history
+ */
+function projectExhaustion(samples, key, utilization, now = Date.now()) {
+  const recent = (samples || []).filter(([t]) => now - t <= BURN_LOOKBACK[key]);
+  if (recent.length < 2) return null;
+  const [t0, u0] = recent[0];
+  const [t1, u1] = recent[recent.length - 1];
+  if (t1 - t0 < BURN_MIN_SPAN) return null;
+  const rate = (u1 - u0) / (t1 - t0);
+  if (rate <= 0) return Infinity;
+  return now + Math.max(0, 1 - utilization) / rate;
+}
+
+/**
+ * Threshold check with burn-rate projection. Without enough history this is a plain
+ * `utilization > threshold`. With it, an account that will not run out before its reset may
+ * run past the threshold (up to PREDICTIVE_CEILING), and one on pace to run out within
+ * PREDICTIVE_HORIZON, before its reset, counts as over even while still under the threshold.
+ */
+function isMetricOverThreshold(metric, key, threshold, samples, now = Date.now()) {
+  const utilization = metric?.utilization || 0;
+  const resetAt = metric?.reset ? metric.reset * 1000 : null;
+  const exhaustsAt = samples && resetAt ? projectExhaustion(samples, key, utilization, now) : null;
+  if (exhaustsAt === null) return utilization > threshold;
+  if (utilization > threshold) {
+    return utilization >= PREDICTIVE_CEILING || exhaustsAt <= resetAt;
+  }
+  return exhaustsAt <= resetAt && exhaustsAt - now <= PREDICTIVE_HORIZON;
+}
+
+/**
+ * @param {any} usage - state.usage[account]
+ * @param {Record<string, number>} thresholds
+ * @param {string[]} metrics
+ * @param {any} [burn] - state.burn[account]; omit to disable projection
+ */
+function isOverThresholdFor(usage, thresholds, metrics, burn = null) {
+  if (!usage) return false;
+  const now = Date.now();
+  return metrics.some((key) => isMetricOverThreshold(usage[key], key, thresholds[key], burn?.[key], now));
+}
+
+const EMPTY_USAGE = {
+  session5h: { utilization: 0, reset: null, status: 'allowed' },
+  weekly7d: { utilization: 0, reset: null, status: 'allowed' },
+  weekly7dSonnet: { utilization: 0, reset: null, status: 'allowed' },
+  timestamp: null
+};
+
+const AUTH_FAILURE_COOLDOWN = 60 * 60 * 1000;
+const RATE_LIMIT_STATUSES = new Set([429, 529]);
+const DEFAULT_RATE_LIMIT_COOLDOWN = 60 * 1000;
+
+/**
+ * Auth/429 cooldowns and manual exclusions, plus `rejected` status headers for the
+ * metrics that apply to `model` (all metrics when null).
+ */
+function isAccountUnavailable(state, accountName, now = Date.now(), model = null) {
+  for (const until of [state?.authFailures?.[accountName], state?.rateLimited?.[accountName], state?.excluded?.[accountName]]) {
+    if (typeof until === 'number' && until > now) return true;
+  }
+  return getRejectedUntil(state?.usage?.[accountName], model, now) > now;
+}
+
+// The metric each `representative-claim` value stands for
+const CLAIM_METRICS = { five_hour: 'session5h', seven_day: 'weekly7d', seven_day_sonnet: 'weekly7dSonnet' };
+
+/**
+ * Per-metric statuses that apply to the model, plus the unified (overall) one when the
+ * window it reflects applies too. A unified status with an unknown claim applies to all.
+ */
+function getStatusMetrics(usage, model) {
+  const metrics = getApplicableMetrics(model);
+  const claimed = CLAIM_METRICS[usage?.unified?.claim];
+  const unified = !claimed || metrics.includes(claimed) ? [usage?.unified] : [];
+  return [...metrics.map((key) => usage?.[key]), ...unified];
+}
+
+/**
+ * A `rejected` status holds until that metric's reset; without a reset it is left to the
+ * 429 handling. Returns the latest such reset in ms, or 0 when nothing is rejected.
+ */
+function getRejectedUntil(usage, model = null, now = Date.now()) {
+  let until = 0;
+  for (const metric of getStatusMetrics(usage, model)) {
+    if (metric?.status === 'rejected' && metric.reset && metric.reset * 1000 > now) {
+      until = Math.max(until, metric.reset * 1000);
+    }
+  }
+  return until;
+}
+
+// `allowed_warning` accounts still serve requests but are picked after the others
+function hasStatusWarning(usage, model = null, now = Date.now()) {
+  return getStatusMetrics(usage, model).some(
+    (metric) => metric?.status === 'allowed_warning' && (!metric.reset || metric.reset * 1000 > now)
+  );
+}
+
+/**
+ * Resolve until when a 429/529 account should be skipped.
+ * Prefers `retry-after` (seconds or HTTP date), then the unified reset header.
+ * @param {Headers} headers
+ */
+function getRateLimitedUntil(headers, now = Date.now()) {
+  const retryAfter = headers.get('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) return now + seconds * 1000;
+    const date = Date.parse(retryAfter);
+    if (Number.isFinite(date)) return date;
+  }
+  const reset = parseInt(headers.get('anthropic-ratelimit-unified-reset') ?? '', 10);
+  if (reset && reset * 1000 > now) return reset * 1000;
+  return now + DEFAULT_RATE_LIMIT_COOLDOWN;
+}
+
+// Capture usage from response headers into state.usage[accountName].
+// Only update metrics when headers are actually present to avoid
+// overwriting valid data with zeros (e.g. Sonnet headers only appear on Sonnet requests)
+function captureUsageHeaders(state, accountName, headers) {
+  state.usage = state.usage || {};
+  const prev = state.usage[accountName] || {};
+
+  function updateMetric(prev, prefix) {
+    const rawUtil = headers.get(`${prefix}-utilization`);
+    const rawReset = headers.get(`${prefix}-reset`);
+    const rawStatus = headers.get(`${prefix}-status`);
+    if (rawUtil === null && rawReset === null && rawStatus === null) {
+      return prev;
+    }
+    const newReset = rawReset !== null ? (parseInt(rawReset) || null) : null;
+    if (!newReset && prev) {
+      return prev;
+    }
+    return {
+      utilization: rawUtil !== null ? (parseFloat(rawUtil) || 0) : (prev?.utilization ?? 0),
+      reset: newReset || (prev?.reset ?? null),
+      status: rawStatus !== null ? rawStatus : (prev?.status ?? 'unknown')
+    };
+  }
+
+  // Overall status across all windows, and the window it currently reflects
+  const unifiedStatus = headers.get('anthropic-ratelimit-unified-status');
+  const unified = unifiedStatus !== null
+    ? {
+        status: unifiedStatus,
+        reset: parseInt(headers.get('anthropic-ratelimit-unified-reset') ?? '', 10) || null,
+        claim: headers.get('anthropic-ratelimit-unified-representative-claim'),
+      }
+    : prev.unified;
+
+  state.usage[accountName] = {
+    session5h: updateMetric(prev.session5h, 'anthropic-ratelimit-unified-5h'),
+    weekly7d: updateMetric(prev.weekly7d, 'anthropic-ratelimit-unified-7d'),
+    weekly7dSonnet: updateMetric(prev.weekly7dSonnet, 'anthropic-ratelimit-unified-7d_sonnet'),
+    ...(unified && { unified }),
+    timestamp: new Date().toISOString()
+  };
+
+  for (const key of METRIC_KEYS) {
+    const metric = state.usage[accountName][key];
+    if (metric && metric !== prev[key]) {
+      recordBurnSample(state, accountName, key, metric.utilization);
+    }
+  }
+  appendHistorySample(accountName, prev, state.usage[accountName]);
+}
+
+// ---------------------------------------------------------------------------
+// Utilization history: an append-only JSONL log with one line per account update,
+// `{t, account, u: {metric: utilization}, reset: {metric: resetSeconds}}`, holding
+// only the metrics that changed. Past HISTORY_MAX_BYTES it is compacted in place.
+// ---------------------------------------------------------------------------
+
+const HISTORY_MAX_BYTES = 2 * 1024 * 1024;
+const HISTORY_RETENTION = 30 * 24 * 60 * 60 * 1000;
+// [max sample age, bucket size]: one sample per minute for a day, then one per hour
+const HISTORY_COMPACTION = [
+  [24 * 60 * 60 * 1000, 60 * 1000],
+  [Infinity, 60 * 60 * 1000],
+];
+
+function appendHistorySample(accountName, prev, current) {
+  const u = {};
+  const reset = {};
+  for (const key of METRIC_KEYS) {
+    const metric = current[key];
+    if (!metric || (metric.utilization === prev[key]?.utilization && metric.reset === prev[key]?.reset)) continue;
+    u[key] = metric.utilization;
+    if (metric.reset) reset[key] = metric.reset;
+  }
+  if (Object.keys(u).length === 0) return;
+
+  const line = JSON.stringify({ t: Date.now(), account: accountName, u, reset }) + "\n";
+  withFileLock(HISTORY_FILE, () => {
+    try {
+      mkdirSync(dirname(HISTORY_FILE), { recursive: true });
+      appendFileSync(HISTORY_FILE, line);
+      if (statSync(HISTORY_FILE).size > HISTORY_MAX_BYTES) compactHistory();
+    } catch (e) {
+      console.error(`[multi-account] Failed to append ${HISTORY_FILE}:`, e);
+    }
+  });
+}
+
+/**
+ * Drop samples past HISTORY_RETENTION and merge older ones into per-account buckets
+ * (latest value per metric wins). Caller holds the history lock.
+ */
+function compactHistory(now = Date.now()) {
+  const buckets = new Map();
+  for (const line of readFileSync(HISTORY_FILE, "utf-8").split("\n")) {
+    let sample;
+    try {
+      sample = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    if (!sample?.account || typeof sample.t !== "number" || now - sample.t > HISTORY_RETENTION) continue;
+    const size = HISTORY_COMPACTION.find(([maxAge]) => now - sample.t <= maxAge)[1];
+    const id = `${sample.account}\0${Math.floor(sample.t / size)}\0${size}`;
+    const bucket = buckets.get(id);
+    if (!bucket) {
+      buckets.set(id, { t: sample.t, account: sample.account, u: { ...sample.u }, reset: { ...sample.reset } });
+    } else if (sample.t >= bucket.t) {
+      bucket.t = sample.t;
+      Object.assign(bucket.u, sample.u);
+      Object.assign(bucket.reset, sample.reset);
+    }
+  }
+
+  const lines = [...buckets.values()].sort((a, b) => a.t - b.t).map((sample) => JSON.stringify(sample) + "\n");
+  const tmp = HISTORY_FILE + ".tmp";
+  writeFileSync(tmp, lines.join(""));
+  renameSync(tmp, HISTORY_FILE);
+}
+
+// ---------------------------------------------------------------------------
+// Event log: switches, failovers, refreshes and auth failures as JSONL
+// (`{t, type, ...fields}`), rotated to `.1` … `.N` once it passes EVENT_LOG_MAX_BYTES.
+// ---------------------------------------------------------------------------
+
+const EVENT_LOG_MAX_BYTES = 1024 * 1024;
+const EVENT_LOG_ROTATIONS = 3;
+
+/**
+ * @param {"switch" | "failover" | "refresh" | "auth_failure" | "rate_limited" | "affinity_broken" | "overflow" | "overflow_cap"} type
+ * @param {Record<string, unknown>} fields - e.g. from/to/account, reason, metric, value, threshold, status
+ */
+function logEvent(type, fields = {}) {
+  const line = JSON.stringify({ t: Date.now(), type, ...(runtime.source && { source: runtime.source }), ...fields }) + "\n";
+  withFileLock(EVENT_LOG_FILE, () => {
+    try {
+      mkdirSync(dirname(EVENT_LOG_FILE), { recursive: true });
+      if (existsSync(EVENT_LOG_FILE) && statSync(EVENT_LOG_FILE).size + line.length > EVENT_LOG_MAX_BYTES) {
+        rotateEventLog();
+      }
+      appendFileSync(EVENT_LOG_FILE, line);
+    } catch (e) {
+      console.error(`[multi-account] Failed to append ${EVENT_LOG_FILE}:`, e);
+    }
+  });
+}
+
+function rotateEventLog() {
+  for (let i = EVENT_LOG_ROTATIONS; i > 1; i--) {
+    const older = `${EVENT_LOG_FILE}.${i - 1}`;
+    if (existsSync(older)) renameSync(older, `${EVENT_LOG_FILE}.${i}`);
+  }
+  renameSync(EVENT_LOG_FILE, `${EVENT_LOG_FILE}.1`);
+}
+
+// ---------------------------------------------------------------------------
+// Metrics: per-account counters live in state.counters (merged additively) and are
+// exported with the usage gauges over an opt-in local Prometheus/OpenMetrics endpoint.
+// ---------------------------------------------------------------------------
+
+const METRICS_HOST = "127.0.0.1";
+const METRIC_COUNTERS = {
+  requests: ["requests", "Requests served by the account"],
+  switches: ["switches", "Threshold switches onto the account"],
+  refreshFailures: ["refresh_failures", "Failed token refreshes"],
+  authCooldowns: ["auth_cooldowns", "Auth cooldowns started for the account"],
+};
+
+/**
+ * @param {any} state
+ * @param {string} accountName
+ * @param {"requests" | "switches" | "refreshFailures" | "authCooldowns"} key
+ */
+function incrementCounter(state, accountName, key) {
+  state.counters ??= {};
+  state.counters[accountName] ??= {};
+  state.counters[accountName][key] = (state.counters[accountName][key] || 0) + 1;
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+/**
+ * Render state as Prometheus text (0.0.4) or, with `openMetrics`, OpenMetrics 1.0.
+ * @param {any} state - as returned by getState
+ * @param {string[]} accountNames
+ */
+function renderMetrics(state, accountNames, openMetrics = false) {
+  const lines = [];
+  const family = (name, type, help) => {
+    const declared = type === "counter" && !openMetrics ? `${name}_total` : name;
+    lines.push(`# HELP ${declared} ${help}`, `# TYPE ${declared} ${type}`);
+  };
+
+  family("anthropic_multi_account_utilization", "gauge", "Rate limit utilization (0-1) from the latest response");
+  for (const name of accountNames) {
+    for (const key of METRIC_KEYS) {
+      const metric = state.usage?.[name]?.[key];
+      if (!metric) continue;
+      lines.push(`anthropic_multi_account_utilization{account="${escapeLabel(name)}",metric="${key}"} ${metric.utilization || 0}`);
+    }
+  }
+
+  family("anthropic_multi_account_reset_timestamp_seconds", "gauge", "When the rate limit window resets (unix seconds)");
+  for (const name of accountNames) {
+    for (const key of METRIC_KEYS) {
+      const reset = state.usage?.[name]?.[key]?.reset;
+      if (!reset) continue;
+      lines.push(`anthropic_multi_account_reset_timestamp_seconds{account="${escapeLabel(name)}",metric="${key}"} ${reset}`);
+    }
+  }
+
+  family("anthropic_multi_account_active", "gauge", "1 for the current primary-first account");
+  for (const name of accountNames) {
+    lines.push(`anthropic_multi_account_active{account="${escapeLabel(name)}"} ${state.currentAccount === name ? 1 : 0}`);
+  }
+
+  for (const [key, [suffix, help]] of Object.entries(METRIC_COUNTERS)) {
+    family(`anthropic_multi_account_${suffix}`, "counter", help);
+    for (const name of accountNames) {
+      lines.push(`anthropic_multi_account_${suffix}_total{account="${escapeLabel(name)}"} ${state.counters?.[name]?.[key] || 0}`);
+    }
+  }
+
+  if (openMetrics) lines.push("# EOF");
+  return lines.join("\n") + "\n";
+}
+
+function ensureAllAccountsInState(accounts, state) {
+  if (!accounts?.length) return false;
+  state.usage = state.usage || {};
+  let changed = false;
+  for (const account of accounts) {
+    if (!state.usage[account.name]) {
+      state.usage[account.name] = structuredClone(EMPTY_USAGE);
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+function resolveStaleMetrics(state) {
+  const usage = state.usage;
+  if (!usage) return false;
+  const now = Date.now();
+  let changed = false;
+  for (const accountName of Object.keys(usage)) {
+    for (const key of ['session5h', 'weekly7d', 'weekly7dSonnet']) {
+      const metric = usage[accountName]?.[key];
+      if (metric?.reset && metric.reset * 1000 < now && (metric.utilization > 0 || metric.status !== 'allowed')) {
+        metric.utilization = 0;
+        metric.status = 'allowed';
+        changed = true;
+      }
+    }
+    const unified = usage[accountName]?.unified;
+    if (unified?.reset && unified.reset * 1000 < now && unified.status !== 'allowed') {
+      unified.status = 'allowed';
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+/**
+ * Pick the first account from `config.routing[<model family>]` that is available
+ * and under threshold for that model, e.g. `{ "opus": ["max-20x"] }`.
+ * Returns null when no preference applies so the caller falls back to selectThresholdAccount.
+ * @param {Array} accounts
+ * @param {any} state
+ * @param {string | null} model
+ */
+function selectRoutedAccount(accounts, state, model) {
+  const family = getModelFamily(model);
+  const preferred = family ? state?.config?.routing?.[family] : null;
+  if (!preferred || !accounts?.length) return null;
+
+  const metrics = getApplicableMetrics(model);
+  const burn = state.config.predictive === false ? null : state.burn;
+  for (const name of Array.isArray(preferred) ? preferred : [preferred]) {
+    const account = accounts.find((candidate) => candidate.name === name);
+    if (!account || isAccountUnavailable(state, name, Date.now(), model)) continue;
+    const thresholds = getAccountThresholds(account, state.config);
+    if (!isOverThresholdFor(state.usage?.[name], thresholds, metrics, burn?.[name])) return account;
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Token accounting: usage from each response is added to state.tokens[account][model]
+// ---------------------------------------------------------------------------
+
+const TOKEN_USAGE_FIELDS = {
+  input: "input_tokens",
+  output: "output_tokens",
+  cacheRead: "cache_read_input_tokens",
+  cacheWrite: "cache_creation_input_tokens",
+};
+
+function recordTokenUsage(state, name, model, usage) {
+  state.tokens ??= {};
+  state.tokens[name] ??= {};
+  const counters = (state.tokens[name][model || "unknown"] ??= { requests: 0, input: 0, output: 0, cacheRead: 0, cacheWrite: 0 });
+  counters.requests += 1;
+  for (const [key, field] of Object.entries(TOKEN_USAGE_FIELDS)) {
+    if (typeof usage[field] === "number") counters[key] += usage[field];
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Overflow: a pay-as-you-go API key (`overflow.key` in the accounts file) that serves
+// requests only when no OAuth account can, up to `config.overflow.dailyCap` USD per local
+// day. Spend is priced from response token usage into state.overflow[<YYYY-MM-DD>].
+// ---------------------------------------------------------------------------
+
+// USD per million input / output tokens; the first match wins, unknown models are priced as Opus 4
+const MODEL_PRICES = [
+  [/opus-4-[5-9]/, 5, 25],
+  [/opus/, 15, 75],
+  [/sonnet/, 3, 15],
+  [/haiku-4/, 1, 5],
+  [/3-5-haiku/, 0.8, 4],
+  [/haiku/, 0.25, 1.25],
+];
+// Cache writes (5 minute TTL) and cache reads, relative to the input price
+const CACHE_WRITE_FACTOR = 1.25;
+const CACHE_READ_FACTOR = 0.1;
+const OVERFLOW_RETENTION_DAYS = 30;
+
+/**
+ * Cost in USD of one response's `usage` at API list prices.
+ * @param {string | null} model
+ * @param {any} usage - Messages API usage (input_tokens, output_tokens, cache_*_input_tokens)
+ */
+function priceUsage(model, usage) {
+  const id = typeof model === "string" ? model.toLowerCase() : "";
+  const [, input, output] = MODEL_PRICES.find(([pattern]) => pattern.test(id)) ?? MODEL_PRICES[1];
+  const tokens = (field) => (typeof usage?.[field] === "number" ? usage[field] : 0);
+  return (
+    tokens("input_tokens") * input +
+    tokens("output_tokens") * output +
+    tokens("cache_creation_input_tokens") * input * CACHE_WRITE_FACTOR +
+    tokens("cache_read_input_tokens") * input * CACHE_READ_FACTOR
+  ) / 1e6;
+}
+
+function getLocalDay(now = Date.now()) {
+  const date = new Date(now);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+/**
+ * The overflow key when one is configured with a positive daily cap that today's spend has
+ * not reached; null otherwise. The cap is checked before each request, so the response that
+ * crosses it still completes.
+ * @param {any} multiAuth - as returned by getMultiAuth
+ * @param {any} state
+ */
+function getOverflowKey(multiAuth, state, now = Date.now()) {
+  const key = multiAuth?.overflow?.key;
+  const cap = state.config?.overflow?.dailyCap;
+  if (typeof key !== "string" || !key || !(cap > 0)) return null;
+  return (state.overflow?.[getLocalDay(now)]?.cost || 0) < cap ? key : null;
+}
+
+// No OAuth account can serve the model: each one is at a hard limit (see getHardLimitReason)
+function isPoolExhausted(accounts, state, model) {
+  return accounts.every((account) => getHardLimitReason(state, account.name, model) !== null);
+}
+
+/**
+ * Send a request to the overflow key. The warning and the `overflow` event mark the start of
+ * an overflow period (`state.overflowSince`), not every request in it; recordServed ends it.
+ */
+function enterOverflow(state, message, fields) {
+  if (state.overflowSince) return;
+  state.overflowSince = Date.now();
+  console.warn(`[multi-account] ${message}`);
+  logEvent("overflow", fields);
+}
+
+function recordOverflowUsage(state, model, usage, now = Date.now()) {
+  const day = getLocalDay(now);
+  state.overflow ??= {};
+  const entry = (state.overflow[day] ??= { requests: 0, cost: 0, input: 0, output: 0, cacheRead: 0, cacheWrite: 0 });
+  const cap = state.config?.overflow?.dailyCap;
+  const before = entry.cost;
+  entry.requests += 1;
+  entry.cost += priceUsage(model, usage);
+  for (const [key, field] of Object.entries(TOKEN_USAGE_FIELDS)) {
+    if (typeof usage[field] === "number") entry[key] += usage[field];
+  }
+  if (cap > 0 && before < cap && entry.cost >= cap) {
+    logEvent("overflow_cap", { day, spent: Math.round(entry.cost * 100) / 100, cap });
+  }
+
+  const oldest = getLocalDay(now - OVERFLOW_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  for (const key of Object.keys(state.overflow)) {
+    if (key < oldest) delete state.overflow[key];
+  }
+}
+
+// Daily cap and recent spend for the dashboard; null when overflow was never set up or used
+function getOverflowStatus(state, now = Date.now()) {
+  const cap = state.config?.overflow?.dailyCap ?? null;
+  const days = state.overflow || {};
+  if (cap === null && !Object.keys(days).length) return null;
+  const today = days[getLocalDay(now)] || {};
+  const weekStart = getLocalDay(now - 6 * 24 * 60 * 60 * 1000);
+  return {
+    dailyCap: cap,
+    spentToday: today.cost || 0,
+    requestsToday: today.requests || 0,
+    spent7d: Object.entries(days).reduce((sum, [day, entry]) => (day >= weekStart ? sum + (entry.cost || 0) : sum), 0),
+  };
+}
+
+// `state.pin` while it applies (until null = until unpinned), whether or not the account is usable
+function getActivePin(state, now = Date.now()) {
+  const pin = state?.pin;
+  if (!pin?.account) return null;
+  if (typeof pin.until === "number" && pin.until <= now) return null;
+  return pin;
+}
+
+function isExcluded(state, accountName, now = Date.now()) {
+  const until = state?.excluded?.[accountName];
+  return typeof until === "number" && until > now;
+}
+
+/**
+ * Manual override from the CLI `pin` command: `state.pin = { account, until }` wins over
+ * every other selection until it expires (`until` null = until unpinned). Returns null when
+ * there is no pin or the pinned account is unavailable (cooldown, exclusion, rejected for the model).
+ */
+function selectPinnedAccount(accounts, state, model = null, now = Date.now()) {
+  if (state?.pin && !getActivePin(state, now)) delete state.pin;
+  const pin = getActivePin(state, now);
+  if (!pin) return null;
+  const account = accounts.find((candidate) => candidate.name === pin.account);
+  if (!account || isAccountUnavailable(state, account.name, now, model)) return null;
+  return account;
+}
+
+// Conversation affinity: keep a conversation on one account so its prompt cache survives.
+const AFFINITY_TTL = 60 * 60 * 1000;
+const AFFINITY_LIMIT = 200;
+
+function contentText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.map((block) => (typeof block?.text === 'string' ? block.text : '')).join('\n');
+}
+
+/**
+ * Fingerprint a conversation by its system prompt and first user message.
+ * Only text is hashed so moving cache_control markers do not change the key.
+ * @param {any} parsed - parsed /v1/messages body
+ * @returns {string | null}
+ */
+function getConversationFingerprint(parsed) {
+  const firstUser = Array.isArray(parsed?.messages) ? parsed.messages.find((msg) => msg?.role === 'user') : null;
+  if (!firstUser) return null;
+  return createHash('sha256')
+    .update(contentText(parsed.system))
+    .update('\0')
+    .update(contentText(firstUser.content))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * A hard limit is an actual rejection, not the soft switching threshold.
+ * @returns {string | null} reason, or null when the account can still serve the model
+ */
+function getHardLimitReason(state, accountName, model) {
+  if (isAccountUnavailable(state, accountName, Date.now(), model)) return 'temporarily unavailable';
+  const usage = state.usage?.[accountName];
+  for (const key of getApplicableMetrics(model)) {
+    if (usage?.[key]?.status === 'rejected') return `${METRIC_LABELS[key]} rejected`;
+    if ((usage?.[key]?.utilization || 0) >= 1) return `${METRIC_LABELS[key]} at 100%`;
+  }
+  return null;
+}
+
+/**
+ * Return the account a conversation is pinned to, or null when affinity is off,
+ * the conversation is new, or its account crossed a hard limit (logged as broken affinity).
+ */
+function selectAffinityAccount(accounts, state, fingerprint, model) {
+  if (!state?.config?.affinity || !fingerprint) return null;
+  const entry = state.affinity?.[fingerprint];
+  if (!entry || Date.now() - entry.lastUsed > AFFINITY_TTL) return null;
+  const account = accounts.find((candidate) => candidate.name === entry.account);
+  if (!account) return null;
+  const reason = getHardLimitReason(state, account.name, model);
+  if (reason) {
+    runtime.log(`[multi-account] affinity broken for conversation ${fingerprint}: ${account.name} ${reason}`);
+    logEvent("affinity_broken", { conversation: fingerprint, from: account.name, reason });
+    delete state.affinity[fingerprint];
+    return null;
+  }
+  return account;
+}
+
+function recordAffinity(state, fingerprint, accountName) {
+  if (!state?.config?.affinity || !fingerprint) return;
+  const now = Date.now();
+  const previous = state.affinity?.[fingerprint];
+  if (previous && previous.account !== accountName && now - previous.lastUsed <= AFFINITY_TTL) {
+    runtime.log(`[multi-account] affinity broken for conversation ${fingerprint}: ${previous.account} → ${accountName}`);
+    logEvent("affinity_broken", { conversation: fingerprint, from: previous.account, to: accountName });
+  }
+  const entries = Object.entries(state.affinity || {})
+    .filter(([key, value]) => key !== fingerprint && now - value.lastUsed <= AFFINITY_TTL)
+    .sort((a, b) => b[1].lastUsed - a[1].lastUsed)
+    .slice(0, AFFINITY_LIMIT - 1);
+  state.affinity = Object.fromEntries([[fingerprint, { account: accountName, lastUsed: now }], ...entries]);
+}
+
+/**
+ * Effective per-metric thresholds for an account: its own `threshold` override
+ * (number or per-metric object) falls back to the global one per metric, and
+ * everything is capped at `1 - reserve` so the reserved share stays free.
+ * @param {any} account - entry from the accounts file
+ * @param {any} config - state.config
+ */
+function getAccountThresholds(account, config) {
+  const global = normalizeThresholds(config?.threshold, 0.70);
+  const own = normalizeThresholds(account?.threshold, null);
+  const reserve = typeof account?.reserve === 'number' ? Math.min(Math.max(account.reserve, 0), 1) : 0;
+  const result = {};
+  for (const key of METRIC_KEYS) {
+    result[key] = Math.min(own[key] ?? global[key], 1 - reserve);
+  }
+  return result;
+}
+
+/**
+ * Primary-first selection without side effects. Returns the account and, when it moves away
+ * from currentAccount, the switch (`change`: log message and `switch` event fields);
+ * `checkedAt` is set when the recovery check ran. setCurrentAccount applies both.
+ * @param {Array} accounts
+ * @param {any} state
+ * @param {string | null} [model] - request model; limits checks to the metrics that apply to it
+ * @returns {{ account: any, change: { message: string, event: object } | null, checkedAt: number | null }}
+ */
+function planThresholdAccount(accounts, state, model = null) {
+  const config = state?.config || {};
+  const metrics = getApplicableMetrics(model);
+  const burn = config.predictive === false ? null : state?.burn;
+  const CHECK_INTERVAL = config.checkInterval ?? 3600000;
+  const now = Date.now();
+  let checkedAt = null;
+
+  function keep(account) {
+    return { account, change: null, checkedAt };
+  }
+
+  function switchTo(account, reason, message, exceeded = null) {
+    const event = {
+      reason,
+      model,
+      ...(exceeded && { metric: exceeded.key, value: exceeded.value, threshold: exceeded.threshold }),
+    };
+    return { account, change: { message, event }, checkedAt };
+  }
+
+  function isTemporarilyUnavailable(accountName) {
+    return isAccountUnavailable(state, accountName, now, model);
+  }
+
+  function isWarned(accountName) {
+    return hasStatusWarning(state?.usage?.[accountName], model, now);
+  }
+
+  if (!accounts || accounts.length === 0) return keep(null);
+
+  // Excluded accounts are never a "least bad" pick: with nothing else left this returns null
+  const primary = accounts[0];
+  const primaryExcluded = isExcluded(state, primary.name, now);
+  if (accounts.length === 1) return keep(primaryExcluded ? null : primary);
+
+  // Stable sort: fallbacks in `allowed_warning` keep their order but come last
+  const fallbacks = accounts
+    .slice(1)
+    .filter((fallback) => !isExcluded(state, fallback.name, now))
+    .sort((a, b) => isWarned(a.name) - isWarned(b.name));
+  const lastResort = primaryExcluded ? fallbacks[0] ?? null : primary;
+
+  if (!state || !state.currentAccount) {
+    return keep(lastResort);
+  }
+
+  function thresholdsFor(accountName) {
+    return getAccountThresholds(accounts.find((candidate) => candidate.name === accountName), config);
+  }
+
+  function isOverThreshold(usage, accountName) {
+    return isOverThresholdFor(usage, thresholdsFor(accountName), metrics, burn?.[accountName]);
+  }
+
+  function getExceededMetric(usage, accountName) {
+    if (!usage) return { key: null, name: 'unknown', value: 0, threshold: 1 };
+    const thresholds = thresholdsFor(accountName);
+    const candidates = metrics.filter((key) =>
+      isMetricOverThreshold(usage[key], key, thresholds[key], burn?.[accountName]?.[key], now)
+    );
+    return (candidates.length ? candidates : metrics)
+      .map((key) => ({ key, name: METRIC_LABELS[key], value: usage[key]?.utilization || 0, threshold: thresholds[key] }))
+      .reduce((max, m) => (m.value / m.threshold) > (max.value / max.threshold) ? m : max);
+  }
+
+  function describeExceeded(exceeded) {
+    const pct = `${Math.round(exceeded.value * 100)}%`;
+    if (exceeded.value <= exceeded.threshold) return `${exceeded.name} at ${pct} (projected to run out before reset)`;
+    return `${exceeded.name} at ${pct} (threshold ${Math.round(exceeded.threshold * 100)}%)`;
+  }
+
+  function getUtilizationScore(usage, accountName) {
+    if (!usage) return 0;
+    const thresholds = thresholdsFor(accountName);
+    return Math.max(...metrics.map((key) => (usage[key]?.utilization || 0) / thresholds[key]));
+  }
+
+  const primaryUsage = state.usage?.[primary.name];
+  const currentIsPrimary = state.currentAccount === primary.name;
+
+  if (currentIsPrimary) {
+    const primaryUnavailable = isTemporarilyUnavailable(primary.name);
+    if (primaryUnavailable || isOverThreshold(primaryUsage, primary.name)) {
+      for (const fallback of fallbacks) {
+        const fallbackUsage = state.usage?.[fallback.name];
+        if (!isOverThreshold(fallbackUsage, fallback.name) && !isTemporarilyUnavailable(fallback.name)) {
+          if (primaryUnavailable) {
+            return switchTo(fallback, "unavailable", "primary temporarily unavailable");
+          }
+          const exceeded = getExceededMetric(primaryUsage, primary.name);
+          return switchTo(fallback, exceeded.value <= exceeded.threshold ? "predicted" : "threshold", describeExceeded(exceeded), exceeded);
+        }
+      }
+      const availableFallbacks = fallbacks.filter((fallback) => !isTemporarilyUnavailable(fallback.name));
+      const pool = availableFallbacks.length > 0 ? availableFallbacks : fallbacks;
+      if (pool.length === 0) return keep(lastResort);
+      const best = pool.reduce((lowest, f) => {
+        return getUtilizationScore(state.usage?.[f.name], f.name) < getUtilizationScore(state.usage?.[lowest.name], lowest.name) ? f : lowest;
+      }, pool[0]);
+      const exceeded = getExceededMetric(primaryUsage, primary.name);
+      return switchTo(best, "all_busy", `${exceeded.name} at ${Math.round(exceeded.value * 100)}% (all accounts busy)`, exceeded);
+    }
+    return keep(primary);
+  } else {
+    const lastCheck = state.lastPrimaryCheck || 0;
+    
+    function getEarliestResetTime(usage) {
+      if (!usage) return null;
+      const resets = metrics.map((key) => usage[key]?.reset).filter(r => r != null);
+      if (resets.length === 0) return null;
+      return Math.min(...resets) * 1000;
+    }
+    
+    const earliestReset = getEarliestResetTime(primaryUsage);
+    const resetPassed = earliestReset && earliestReset <= now && earliestReset > lastCheck;
+    const intervalPassed = (now - lastCheck) > CHECK_INTERVAL;
+    
+    if (resetPassed || intervalPassed) {
+      checkedAt = now;
+      
+      // Hysteresis: only return once primary is under the lower recover thresholds
+      const recover = normalizeRecover(config.recover, thresholdsFor(primary.name));
+      const recovered = !isOverThresholdFor(primaryUsage, recover, metrics, burn?.[primary.name]);
+      if (recovered && !isTemporarilyUnavailable(primary.name) && !isWarned(primary.name)) {
+        return switchTo(primary, "recovered", "under recover threshold, switching back");
+      }
+    }
+    
+    const current = accounts.find((candidate) => candidate.name === state.currentAccount);
+    if (current && !isTemporarilyUnavailable(current.name)) {
+      return keep(current);
+    }
+
+    const nextFallback = fallbacks.find((fallback) => !isTemporarilyUnavailable(fallback.name));
+    return keep(nextFallback || lastResort);
+  }
+}
+
+/**
+ * @param {Array} accounts
+ * @param {any} state
+ * @param {string | null} [model] - request model; limits checks to the metrics that apply to it
+ */
+function selectThresholdAccount(accounts, state, model = null) {
+  return planThresholdAccount(accounts, state, model).account;
+}
+
+/**
+ * Accounts a strategy may choose from: available (no cooldown, exclusion or `rejected`
+ * status) and under threshold for the request model, without an `allowed_warning` status
+ * when possible. Falls back to available accounts, then to every account that is not
+ * excluded; `busy` marks that fallback. The pool is empty only when every account is excluded.
+ * @param {Array} accounts
+ * @param {any} state
+ * @param {string | null} model
+ */
+function getEligibleAccounts(accounts, state, model) {
+  const config = state?.config || {};
+  const metrics = getApplicableMetrics(model);
+  const burn = config.predictive === false ? null : state?.burn;
+  const available = accounts.filter((account) => !isAccountUnavailable(state, account.name, Date.now(), model));
+  const underThreshold = available.filter(
+    (account) => !isOverThresholdFor(state?.usage?.[account.name], getAccountThresholds(account, config), metrics, burn?.[account.name])
+  );
+  if (underThreshold.length > 0) {
+    const clear = underThreshold.filter((account) => !hasStatusWarning(state?.usage?.[account.name], model));
+    return { pool: clear.length > 0 ? clear : underThreshold, busy: false };
+  }
+  return { pool: available.length > 0 ? available : accounts.filter((account) => !isExcluded(state, account.name)), busy: true };
+}
+
+function getAccountScore(account, state, model) {
+  const usage = state?.usage?.[account.name];
+  if (!usage) return 0;
+  const thresholds = getAccountThresholds(account, state?.config);
+  return Math.max(...getApplicableMetrics(model).map((key) => (usage[key]?.utilization || 0) / thresholds[key]));
+}
+
+function selectLeastUtilized(pool, state, model) {
+  if (pool.length === 0) return null;
+  return pool.reduce((lowest, account) =>
+    getAccountScore(account, state, model) < getAccountScore(lowest, state, model) ? account : lowest
+  , pool[0]);
+}
+
+/**
+ * Weighted rotation over eligible accounts using per-account `weight` (default 1).
+ * When every account is busy, the least utilized one is used instead.
+ */
+function selectWeightedAccount(accounts, state, model = null) {
+  if (!accounts || accounts.length === 0) return null;
+  const { pool, busy } = getEligibleAccounts(accounts, state, model);
+  if (busy) return selectLeastUtilized(pool, state, model);
+
+  const weightOf = (account) => (typeof account.weight === 'number' && account.weight > 0 ? account.weight : 1);
+  const totalWeight = pool.reduce((sum, account) => sum + weightOf(account), 0);
+  const position = (state?.requestCount || 0) % totalWeight;
+
+  let cumulative = 0;
+  for (const account of pool) {
+    cumulative += weightOf(account);
+    if (position < cumulative) return account;
+  }
+  return pool[0];
+}
+
+function selectRoundRobinAccount(accounts, state, model = null) {
+  if (!accounts || accounts.length === 0) return null;
+  const { pool, busy } = getEligibleAccounts(accounts, state, model);
+  if (busy) return selectLeastUtilized(pool, state, model);
+  return pool[(state?.requestCount || 0) % pool.length];
+}
+
+function selectLeastUtilizedAccount(accounts, state, model = null) {
+  if (!accounts || accounts.length === 0) return null;
+  return selectLeastUtilized(getEligibleAccounts(accounts, state, model).pool, state, model);
+}
+
+const SELECTION_STRATEGIES = {
+  'primary-first': selectThresholdAccount,
+  weighted: selectWeightedAccount,
+  'least-utilized': selectLeastUtilizedAccount,
+  'round-robin': selectRoundRobinAccount,
+};
+
+/**
+ * Select an account with the strategy from `config.strategy` (default: primary-first).
+ * @param {Array} accounts
+ * @param {any} state
+ * @param {string | null} [model]
+ */
+function selectByStrategy(accounts, state, model = null) {
+  const strategy = SELECTION_STRATEGIES[state?.config?.strategy] || selectThresholdAccount;
+  return strategy(accounts, state, model);
+}
+
+const TOKEN_URL = "https://console.anthropic.com/v1/oauth/token";
+const REFRESH_AHEAD = 5 * 60 * 1000;
+const REFRESH_LOCK_STALE = 30 * 1000;
+// The token request plus a contended save (WRITE_LOCK_WAIT) stays under REFRESH_LOCK_STALE,
+// so a live refresh never loses its lock; waiting past the stale window takes over a dead one
+const REFRESH_TIMEOUT = 15 * 1000;
+const REFRESH_LOCK_WAIT = REFRESH_LOCK_STALE + 5 * 1000;
+const REFRESH_POLL_INTERVAL = 250;
+const BACKGROUND_REFRESH_INTERVAL = 60 * 1000;
+const BACKGROUND_REFRESH_BACKOFF = 5 * 60 * 1000;
+
+// In-process single-flight: one pending refresh per account name
+const refreshInFlight = new Map();
+const backgroundRefreshFailures = new Map();
+let backgroundRefreshTimer = null;
+
+function adoptTokens(target, source) {
+  target.access = source.access;
+  target.refresh = source.refresh;
+  target.expires = source.expires;
+  target.accessToken = target.access;
+  target.refreshToken = target.refresh;
+  target.expiresAt = target.expires;
+}
+
+function readDiskAccount(name) {
+  const { value } = normalizeMultiAuthShape(readMultiAuthFile(MULTI_AUTH_FILE));
+  const account = value?.accounts?.find((candidate) => candidate?.name === name);
+  return account ? normalizeAccountFields(account) : null;
+}
+
+// Write only this account's tokens into the current accounts file, leaving other accounts untouched
+function persistAccountTokens(account) {
+  const { value } = normalizeMultiAuthShape(readMultiAuthFile(MULTI_AUTH_FILE));
+  const target = value?.accounts?.find((candidate) => candidate?.name === account.name);
+  if (!target) return;
+  adoptTokens(target, account);
+  return saveMultiAuth(value);
+}
+
+// Single-account mode: without an accounts file, OpenCode's own login stands in as a one-account
+// pool. `import opencode` picks the same name, so its usage and counters carry over on upgrade.
+const SINGLE_ACCOUNT_NAME = "opencode";
+
+// OpenCode's `anthropic` auth entry as an account, or null when it is not an OAuth login
+function toSingleAccount(auth) {
+  if (auth?.type !== "oauth") return null;
+  return { name: SINGLE_ACCOUNT_NAME, access: auth.access, refresh: auth.refresh, expires: auth.expires };
+}
+
+function readSingleAccount() {
+  return toSingleAccount(safeReadJSON(AUTH_FILE, null)?.anthropic);
+}
+
+// Write refreshed tokens back to OpenCode's auth.json (owner-only, like OpenCode writes it)
+function persistSingleAccountTokens(account) {
+  return withFileLock(AUTH_FILE, () => {
+    const data = safeReadJSON(AUTH_FILE, {});
+    data.anthropic = { type: "oauth", refresh: account.refresh, access: account.access, expires: account.expires };
+    try {
+      const tmp = AUTH_FILE + '.tmp';
+      writeFileSync(tmp, JSON.stringify(data, null, 2), { mode: 0o600 });
+      renameSync(tmp, AUTH_FILE);
+    } catch (e) {
+      console.error(`[multi-account] Failed to save ${AUTH_FILE}:`, e);
+    }
+  });
+}
+
+/**
+ * Where an account's tokens live: `read(name)` returns the latest copy (or null) and
+ * `persist(account)` saves rotated tokens (may return a promise).
+ */
+const ACCOUNTS_FILE_STORE = { read: readDiskAccount, persist: persistAccountTokens };
+const SINGLE_ACCOUNT_STORE = { read: readSingleAccount, persist: persistSingleAccountTokens };
+
+// Accounts in use: the accounts file, or OpenCode's login in single-account mode
+function getPoolAccounts() {
+  const accounts = getMultiAuth()?.accounts || [];
+  if (accounts.length) return { accounts, store: ACCOUNTS_FILE_STORE };
+  const single = readSingleAccount();
+  return { accounts: single ? [single] : [], store: SINGLE_ACCOUNT_STORE };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// A token request that failed (HTTP error, network error or timeout) counts as a refresh failure
+function countRefreshFailure(accountName) {
+  const state = getState();
+  incrementCounter(state, accountName, "refreshFailures");
+  saveState(state);
+}
+
+/**
+ * Refresh with cross-process coordination through the token store: a per-account lock
+ * file serializes the refresh, and a newer token already on disk (rotated by another
+ * process) is adopted instead of spending the refresh token again. The refresh token is only
+ * ever spent while holding the lock; if it cannot be taken, the refresh fails with status 0,
+ * as does a token request that errors or times out.
+ * @param {any} account
+ * @param {{ read: (name: string) => any, persist: (account: any) => any }} [store]
+ * @returns {Promise<{ok: true, tokens: {access: string, refresh: string, expires: number}} | {ok: false, status: number}>}
+ */
+async function refreshAccountToken(account, store = ACCOUNTS_FILE_STORE) {
+  const newerOnDisk = () => {
+    const latest = store.read(account.name);
+    return latest?.access && getAccountExpiry(latest) > Math.max(getAccountExpiry(account), Date.now()) ? latest : null;
+  };
+
+  const lockPath = `${MULTI_AUTH_FILE}.${encodeURIComponent(account.name)}.refresh.lock`;
+  const deadline = Date.now() + REFRESH_LOCK_WAIT;
+  let locked = acquireFileLock(lockPath, REFRESH_LOCK_STALE);
+  while (!locked && Date.now() < deadline) {
+    await sleep(REFRESH_POLL_INTERVAL);
+    const latest = newerOnDisk();
+    if (latest) return { ok: true, tokens: latest };
+    locked = acquireFileLock(lockPath, REFRESH_LOCK_STALE);
+  }
+  if (!locked) {
+    const latest = newerOnDisk();
+    if (latest) return { ok: true, tokens: latest };
+    console.warn(`[multi-account] refresh lock for ${account.name} still held after ${REFRESH_LOCK_WAIT / 1000}s, not refreshing`);
+    return { ok: false, status: 0 };
+  }
+
+  try {
+    const latest = newerOnDisk();
+    if (latest) return { ok: true, tokens: latest };
+
+    let response;
+    try {
+      response = await fetch(TOKEN_URL, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          grant_type: "refresh_token",
+          refresh_token: account.refresh,
+          client_id: CLIENT_ID,
+        }),
+        signal: AbortSignal.timeout(REFRESH_TIMEOUT),
+      });
+    } catch (e) {
+      logEvent("refresh", { account: account.name, ok: false, error: e?.message ?? String(e) });
+      countRefreshFailure(account.name);
+      return { ok: false, status: 0 };
+    }
+
+    if (!response.ok) {
+      logEvent("refresh", { account: account.name, ok: false, status: response.status });
+      countRefreshFailure(account.name);
+      return {
+        ok: false,
+        status: response.status,
+      };
+    }
+
+    const json = await response.json();
+    const tokens = {
+      access: json.access_token,
+      refresh: json.refresh_token,
+      expires: Date.now() + json.expires_in * 1000,
+    };
+    await store.persist({ name: account.name, ...tokens });
+    logEvent("refresh", { account: account.name, ok: true, expires: tokens.expires });
+    return { ok: true, tokens };
+  } finally {
+    releaseFileLock(lockPath);
+  }
+}
+
+/**
+ * Refresh an account once per process no matter how many requests ask for it;
+ * every caller adopts the same resulting tokens.
+ */
+async function refreshSingleFlight(account, store) {
+  let pending = refreshInFlight.get(account.name);
+  if (!pending) {
+    pending = refreshAccountToken({ ...account }, store).finally(() => refreshInFlight.delete(account.name));
+    refreshInFlight.set(account.name, pending);
+  }
+  const result = await pending;
+  if (result.ok) adoptTokens(account, result.tokens);
+  return result;
+}
+
+function refreshInBackground(account, store) {
+  const retryAt = backgroundRefreshFailures.get(account.name);
+  if (refreshInFlight.has(account.name) || (retryAt && retryAt > Date.now())) return;
+  refreshSingleFlight(account, store).then((result) => {
+    if (result.ok) {
+      backgroundRefreshFailures.delete(account.name);
+    } else {
+      backgroundRefreshFailures.set(account.name, Date.now() + BACKGROUND_REFRESH_BACKOFF);
+      console.warn(`[multi-account] background refresh failed for ${account.name} (${result.status})`);
+    }
+  }, (e) => {
+    backgroundRefreshFailures.set(account.name, Date.now() + BACKGROUND_REFRESH_BACKOFF);
+    console.warn(`[multi-account] background refresh failed for ${account.name}:`, e);
+  });
+}
+
+// Refresh tokens that are about to expire so requests never wait on a refresh
+function startBackgroundRefresh() {
+  if (backgroundRefreshTimer) return;
+  backgroundRefreshTimer = setInterval(() => {
+    for (const account of getMultiAuth()?.accounts || []) {
+      if (hasRefreshToken(account) && getAccountExpiry(account) - Date.now() < REFRESH_AHEAD) {
+        refreshInBackground(account);
+      }
+    }
+  }, BACKGROUND_REFRESH_INTERVAL);
+  backgroundRefreshTimer.unref?.();
+}
+
+// `store` defaults to the accounts file; single-account mode passes OpenCode's auth store
+async function ensureFreshAccountToken(account, store) {
+  const expires = getAccountExpiry(account);
+  if (account.access && expires > Date.now()) {
+    if (expires - Date.now() < REFRESH_AHEAD && hasRefreshToken(account)) {
+      refreshInBackground(account, store);
+    }
+    return { ok: true };
+  }
+
+  return refreshSingleFlight(account, store);
+}
+
+/**
+ * Account for the next request: a manual pin, then conversation affinity and per-model
+ * routing, then the configured strategy. `routed` marks a pin/affinity/routing pick, which
+ * must not move currentAccount so primary-first tracking stays intact. Choosing has no
+ * side effects; pass `plan` to setCurrentAccount to record a primary-first switch.
+ * @returns {{ account: any, routed: boolean, plan: object | null }} account is null without accounts or when every one is excluded
+ */
+function chooseAccount(accounts, state, { model = null, conversation = null } = {}) {
+  const pinned = selectPinnedAccount(accounts, state, model);
+  if (pinned) return { account: pinned, routed: true, plan: null };
+  const routed = selectAffinityAccount(accounts, state, conversation, model) || selectRoutedAccount(accounts, state, model);
+  if (routed) return { account: routed, routed: true, plan: null };
+  if ((SELECTION_STRATEGIES[state?.config?.strategy] || selectThresholdAccount) === selectThresholdAccount) {
+    const plan = planThresholdAccount(accounts, state, model);
+    return { account: plan.account, routed: false, plan };
+  }
+  return { account: selectByStrategy(accounts, state, model), routed: false, plan: null };
+}
+
+/**
+ * Move currentAccount; leaving the primary starts the interval before it is checked again.
+ * With a primary-first `plan` (chooseAccount, planThresholdAccount) this also stores the
+ * recovery check and logs and counts the switch it describes.
+ */
+function setCurrentAccount(state, accountName, primaryName, plan = null) {
+  if (plan?.checkedAt) state.lastPrimaryCheck = plan.checkedAt;
+  const from = state.currentAccount;
+  if (accountName !== from) {
+    if (accountName !== primaryName) state.lastPrimaryCheck = Date.now();
+    if (plan?.change) {
+      runtime.log(`[multi-account] ${from} → ${accountName}: ${plan.change.message}`);
+      incrementCounter(state, accountName, "switches");
+      logEvent("switch", { from, to: accountName, ...plan.change.event });
+    }
+  }
+  state.currentAccount = accountName;
+}
+
+// 429/529: park the account until retry-after (or the unified reset)
+function recordRateLimited(state, accountName, status, headers) {
+  state.rateLimited = state.rateLimited || {};
+  state.rateLimited[accountName] = getRateLimitedUntil(headers);
+  captureUsageHeaders(state, accountName, headers);
+  logEvent("rate_limited", { account: accountName, status, until: state.rateLimited[accountName] });
+}
+
+// Rejected credentials (or a failed refresh): cool the account down for AUTH_FAILURE_COOLDOWN
+function recordAuthFailure(state, accountName, fields = {}) {
+  state.authFailures = state.authFailures || {};
+  state.authFailures[accountName] = Date.now() + AUTH_FAILURE_COOLDOWN;
+  incrementCounter(state, accountName, "authCooldowns");
+  logEvent("auth_failure", { account: accountName, ...fields, until: state.authFailures[accountName] });
+}
+
+// A 401/403 that means the OAuth token was rejected; other 401/403s are passed through as they are
+function isScopeFailureResponse(responseBody, status) {
+  if (status !== 401 && status !== 403) return false;
+  if (!responseBody) return status === 401;
+  const text = responseBody.toLowerCase();
+  return (
+    text.includes("scope requirement") ||
+    text.includes("oauth token does not meet scope requirement") ||
+    text.includes("invalid oauth token") ||
+    text.includes("unauthorized")
+  );
+}
+
+// A response that was not retried: clears cooldowns it disproves and captures usage headers
+function recordServed(state, accountName, status, headers) {
+  delete state.overflowSince;
+  if (state.authFailures?.[accountName]) {
+    delete state.authFailures[accountName];
+  }
+  if (state.rateLimited?.[accountName] && !RATE_LIMIT_STATUSES.has(status)) {
+    delete state.rateLimited[accountName];
+  }
+  captureUsageHeaders(state, accountName, headers);
+  incrementCounter(state, accountName, "requests");
+}
+
+/**
+ * Everything the dashboard shows, as plain data. `state` per account is "ok", "over"
+ * (a metric above its threshold) or "cooldown" (auth, 429/529, exclusion or a `rejected`
+ * status running); "warning" marks an `allowed_warning` status header. `overflow` is the
+ * API key tier's daily cap and spend (null when it was never set up).
+ */
+function buildStatus(accounts, state) {
+  const config = state.config || {};
+  const now = Date.now();
+  return {
+    active: state.currentAccount ?? null,
+    strategy: config.strategy ?? 'primary-first',
+    pin: getActivePin(state, now) ?? null,
+    requestCount: state.requestCount || 0,
+    overflow: getOverflowStatus(state, now),
+    accounts: accounts.map((account, index) => {
+      const usage = state.usage?.[account.name] || {};
+      const thresholds = getAccountThresholds(account, config);
+      const metrics = {};
+      for (const key of METRIC_KEYS) {
+        const utilization = usage[key]?.utilization || 0;
+        const reset = usage[key]?.reset ?? null;
+        const exhaustsAt = projectExhaustion(state.burn?.[account.name]?.[key], key, utilization, now);
+        metrics[key] = {
+          utilization,
+          percent: Math.round(utilization * 100),
+          threshold: thresholds[key],
+          overThreshold: utilization > thresholds[key],
+          status: usage[key]?.status ?? 'unknown',
+          reset,
+          resetIn: reset ? Math.max(0, Math.round(reset - now / 1000)) : null,
+          exhaustsAt: exhaustsAt === null || exhaustsAt === Infinity ? null : Math.round(exhaustsAt),
+        };
+      }
+      const unavailableUntil = Math.max(
+        state.authFailures?.[account.name] || 0,
+        state.rateLimited?.[account.name] || 0,
+        state.excluded?.[account.name] || 0,
+        getRejectedUntil(usage, null, now),
+      );
+      const headroom = Math.min(...METRIC_KEYS.map((key) => thresholds[key] - metrics[key].utilization));
+      return {
+        name: account.name,
+        primary: index === 0,
+        active: state.currentAccount === account.name,
+        tier: account.tier ?? null,
+        state: unavailableUntil > now
+          ? 'cooldown'
+          : METRIC_KEYS.some((key) => metrics[key].overThreshold) ? 'over' : hasStatusWarning(usage, null, now) ? 'warning' : 'ok',
+        unavailableUntil: unavailableUntil > now ? unavailableUntil : null,
+        unified: usage.unified ?? null,
+        headroom: Math.round(headroom * 100),
+        metrics,
+        updatedAt: usage.timestamp ?? null,
+      };
+    }),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Public API: the same selection and bookkeeping the plugin does, for scripts
+// and other tools that send their own requests with an account from the pool.
+// ---------------------------------------------------------------------------
+
+function loadPool() {
+  const { accounts, store } = getPoolAccounts();
+  const state = getState();
+  ensureAllAccountsInState(accounts, state);
+  resolveStaleMetrics(state);
+  return { accounts, store, state };
+}
+
+/**
+ * Configured accounts in priority order, without tokens (OpenCode's login in single-account mode).
+ * @returns {Array<{ name: string, primary: boolean, tier: string | null, weight: number | null, reserve: number | null, threshold: any, expires: number | null }>}
+ */
+function listAccounts() {
+  return getPoolAccounts().accounts.map((account, index) => ({
+    name: account.name,
+    primary: index === 0,
+    tier: account.tier ?? null,
+    weight: account.weight ?? null,
+    reserve: account.reserve ?? null,
+    threshold: account.threshold ?? null,
+    expires: getAccountExpiry(account) || null,
+  }));
+}
+
+// Usage, thresholds, cooldowns and overrides for every account (the data behind `usage --json`)
+function getStatus() {
+  const { accounts, state } = loadPool();
+  return buildStatus(accounts, state);
+}
+
+/**
+ * Pick the account the plugin would use for a request to `model`, make it current and
+ * return it with a valid access token. Accounts whose refresh fails are cooled down and
+ * the next one is tried. Pass every response to recordResponse() afterwards.
+ * @param {{ model?: string | null, conversation?: string | null }} [options]
+ * @returns {Promise<{ name: string, access: string, expires: number }>}
+ */
+async function selectAccount({ model = null, conversation = null } = {}) {
+  const { accounts, store, state } = loadPool();
+  if (!accounts.length) throw new Error("No accounts configured for multi-account");
+
+  let { account, routed, plan } = chooseAccount(accounts, state, { model, conversation });
+  if (!account) throw new Error("No account available: every account is excluded");
+  const attempted = new Set();
+  while (true) {
+    if (!routed) setCurrentAccount(state, account.name, accounts[0].name, plan);
+    const refreshResult = await ensureFreshAccountToken(account, store);
+    if (refreshResult.ok) break;
+
+    attempted.add(account.name);
+    recordAuthFailure(state, account.name, { status: refreshResult.status, reason: "refresh_failed" });
+    const fallback = accounts.find((candidate) =>
+      !attempted.has(candidate.name) && !isAccountUnavailable(state, candidate.name, Date.now(), model));
+    if (!fallback) {
+      saveState(state);
+      throw new Error(`Token refresh failed for ${account.name}: ${refreshResult.status}`);
+    }
+    logEvent("failover", { from: account.name, to: fallback.name, reason: "refresh_failed", status: refreshResult.status });
+    account = fallback;
+    routed = false;
+    plan = null;
+  }
+
+  state.requestCount = (state.requestCount || 0) + 1;
+  saveState(state);
+  return { name: account.name, access: account.access, expires: getAccountExpiry(account) };
+}
+
+/**
+ * Record a response sent with an account from selectAccount(): usage headers, 429/529 and
+ * auth cooldowns, counters and (optionally) the token usage from the response body.
+ * With `body` (the response text), a 401/403 only starts the auth cooldown when it is a
+ * scope failure, as in the plugin; without it every 401/403 does.
+ * @param {string} accountName
+ * @param {{ status: number, headers?: Headers | Record<string, string>, model?: string | null, usage?: any, conversation?: string | null, body?: string | null }} response
+ */
+function recordResponse(accountName, { status, headers = {}, model = null, usage = null, conversation = null, body = null }) {
+  const responseHeaders = headers instanceof Headers ? headers : new Headers(headers);
+  const state = getState();
+  if (RATE_LIMIT_STATUSES.has(status)) {
+    recordRateLimited(state, accountName, status, responseHeaders);
+  } else if ((status === 401 || status === 403) && (body === null || isScopeFailureResponse(body, status))) {
+    recordAuthFailure(state, accountName, { status });
+  } else {
+    recordServed(state, accountName, status, responseHeaders);
+    if (status >= 200 && status < 300) recordAffinity(state, conversation, accountName);
+    if (usage) recordTokenUsage(state, accountName, model, usage);
+  }
+  saveState(state);
+}
+
+export {
+  // Public API
+  configure,
+  listAccounts,
+  getStatus,
+  selectAccount,
+  recordResponse,
+  // Shared with the plugin and the CLI
+  CLIENT_ID,
+  AUTH_FILE,
+  CONFIG_DIR,
+  MULTI_AUTH_FILE,
+  LEGACY_MULTI_AUTH_FILE_CONFIG,
+  LEGACY_MULTI_AUTH_FILE,
+  STATE_FILE,
+  LEGACY_STATE_FILE,
+  HISTORY_FILE,
+  EVENT_LOG_FILE,
+  EVENT_LOG_ROTATIONS,
+  KEY_FILE,
+  PASSPHRASE_ENV,
+  KEY_FILE_ENV,
+  SINGLE_ACCOUNT_NAME,
+  METRIC_KEYS,
+  METRICS_HOST,
+  RATE_LIMIT_STATUSES,
+  isPlainObject,
+  normalizeAccountFields,
+  normalizeMultiAuthShape,
+  safeReadJSON,
+  safeWriteJSON,
+  withFileLock,
+  rememberLoaded,
+  isSame,
+  isEncrypted,
+  getEncryptionSecret,
+  encryptJSON,
+  decryptJSON,
+  readMultiAuthFile,
+  getMultiAuth,
+  saveMultiAuth,
+  getState,
+  saveState,
+  normalizeThresholds,
+  normalizeRecover,
+  getAccountThresholds,
+  projectExhaustion,
+  isAccountUnavailable,
+  getRejectedUntil,
+  hasStatusWarning,
+  captureUsageHeaders,
+  compactHistory,
+  logEvent,
+  incrementCounter,
+  renderMetrics,
+  ensureAllAccountsInState,
+  resolveStaleMetrics,
+  recordTokenUsage,
+  priceUsage,
+  getOverflowKey,
+  isPoolExhausted,
+  enterOverflow,
+  recordOverflowUsage,
+  getOverflowStatus,
+  getActivePin,
+  isExcluded,
+  getConversationFingerprint,
+  recordAffinity,
+  selectThresholdAccount,
+  planThresholdAccount,
+  chooseAccount,
+  setCurrentAccount,
+  recordRateLimited,
+  recordAuthFailure,
+  isScopeFailureResponse,
+  recordServed,
+  buildStatus,
+  toSingleAccount,
+  readSingleAccount,
+  persistSingleAccountTokens,
+  SINGLE_ACCOUNT_STORE,
+  getPoolAccounts,
+  startBackgroundRefresh,
+  ensureFreshAccountToken,
+};
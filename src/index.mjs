@@ -1,222 +1,37 @@
 import { generatePKCE } from "@openauthjs/openauth/pkce";
-import { readFileSync, writeFileSync, existsSync, copyFileSync, renameSync, mkdirSync } from "fs";
-import { homedir } from "os";
-import { join, dirname } from "path";
-
-const CLIENT_ID = "9d1c250a-e61b-44d9-88ed-5944d1962f5e";
-const AUTH_FILE = join(homedir(), ".local/share/opencode/auth.json");
-const CONFIG_DIR = join(homedir(), ".config/opencode");
-const MULTI_AUTH_FILE = join(CONFIG_DIR, "anthropic-multi-account-accounts.json");
-const LEGACY_MULTI_AUTH_FILE_CONFIG = join(CONFIG_DIR, "anthropic-multi-accounts.json");
-const LEGACY_MULTI_AUTH_FILE = join(homedir(), ".local/share/opencode/multi-account-auth.json");
-const STATE_FILE = join(CONFIG_DIR, "anthropic-multi-account-state.json");
-const LEGACY_STATE_FILE = join(homedir(), ".local/share/opencode/multi-account-state.json");
-
-function readJsonWithFallback(filePaths, fallback) {
-  for (const filePath of filePaths) {
-    const data = safeReadJSON(filePath, null);
-    if (data !== null) return { data, sourcePath: filePath };
-  }
-  return { data: fallback, sourcePath: null };
-}
-
-function normalizeAccountFields(account) {
-  if (!account || typeof account !== "object") {
-    return account;
-  }
-
-  const normalized = { ...account };
-  let changed = false;
-
-  if ((!normalized.access || typeof normalized.access !== "string") && typeof normalized.accessToken === "string") {
-    normalized.access = normalized.accessToken;
-    changed = true;
-  }
-
-  if ((!normalized.refresh || typeof normalized.refresh !== "string") && typeof normalized.refreshToken === "string") {
-    normalized.refresh = normalized.refreshToken;
-    changed = true;
-  }
-
-  if (typeof normalized.expires !== "number") {
-    if (typeof normalized.expiresAt === "number" && Number.isFinite(normalized.expiresAt)) {
-      normalized.expires = normalized.expiresAt;
-      changed = true;
-    } else if (typeof normalized.expiresAt === "string") {
-      const parsed = Date.parse(normalized.expiresAt);
-      if (Number.isFinite(parsed)) {
-        normalized.expires = parsed;
-        changed = true;
-      }
-    }
-  }
-
-  return changed ? normalized : account;
-}
-
-function normalizeMultiAuthShape(multiAuth) {
-  if (!multiAuth || typeof multiAuth !== "object" || !Array.isArray(multiAuth.accounts)) {
-    return { value: multiAuth, changed: false };
-  }
-
-  let changed = false;
-  const accounts = multiAuth.accounts.map((account) => {
-    const normalized = normalizeAccountFields(account);
-    if (normalized !== account) changed = true;
-    return normalized;
-  });
-
-  if (!changed) {
-    return { value: multiAuth, changed: false };
-  }
-
-  return { value: { ...multiAuth, accounts }, changed: true };
-}
-
-function getAccountExpiry(account) {
-  const normalized = normalizeAccountFields(account);
-  if (typeof normalized?.expires === "number" && Number.isFinite(normalized.expires)) {
-    return normalized.expires;
-  }
-  return 0;
-}
-
-function hasRefreshToken(account) {
-  return typeof account?.refresh === "string" && account.refresh.length > 0;
-}
-
-function pickPreferredAccount(current, candidate) {
-  if (!current) return candidate;
-
-  const currentHasRefresh = hasRefreshToken(current);
-  const candidateHasRefresh = hasRefreshToken(candidate);
-
-  if (candidateHasRefresh && !currentHasRefresh) {
-    return candidate;
-  }
-
-  if (getAccountExpiry(candidate) > getAccountExpiry(current)) {
-    return candidate;
-  }
-
-  return current;
-}
-
-function mergeMultiAuthSources(sourceDataList) {
-  const mergedByName = new Map();
-  let requestCount = 0;
-
-  for (const source of sourceDataList) {
-    if (!source || !Array.isArray(source.accounts)) continue;
-
-    if (typeof source.requestCount === "number" && source.requestCount > requestCount) {
-      requestCount = source.requestCount;
-    }
-
-    for (const rawAccount of source.accounts) {
-      const account = normalizeAccountFields(rawAccount);
-      if (!account?.name) continue;
-      const current = mergedByName.get(account.name);
-      mergedByName.set(account.name, pickPreferredAccount(current, account));
-    }
-  }
-
-  if (mergedByName.size === 0) return null;
-
-  return {
-    accounts: Array.from(mergedByName.values()),
-    requestCount,
-  };
-}
-
-// Safe JSON read with .bak fallback
-function safeReadJSON(filePath, fallback) {
-  for (const path of [filePath, filePath + '.bak']) {
-    if (!existsSync(path)) continue;
-    try {
-      const data = JSON.parse(readFileSync(path, "utf-8"));
-      if (path.endsWith('.bak')) {
-        console.log(`[multi-account] Recovered ${filePath} from backup`);
-      }
-      return data;
-    } catch {
-      continue;
-    }
-  }
-  return fallback;
-}
-
-// Atomic write: backup current → write to .tmp → rename to target
-function safeWriteJSON(filePath, data) {
-  try {
-    mkdirSync(dirname(filePath), { recursive: true });
-    if (existsSync(filePath)) {
-      copyFileSync(filePath, filePath + '.bak');
-    }
-    const tmp = filePath + '.tmp';
-    writeFileSync(tmp, JSON.stringify(data, null, 2));
-    renameSync(tmp, filePath);
-  } catch (e) {
-    console.error(`[multi-account] Failed to save ${filePath}:`, e);
-  }
-}
-
-// Read multi-account-auth.json (separate file for multi-account tokens)
-function getMultiAuth() {
-  const sourcePaths = [
-    MULTI_AUTH_FILE,
-    LEGACY_MULTI_AUTH_FILE_CONFIG,
-    LEGACY_MULTI_AUTH_FILE,
-  ];
-
-  const sources = [];
-
-  for (const sourcePath of sourcePaths) {
-    const data = safeReadJSON(sourcePath, null);
-    if (!data || typeof data !== "object") continue;
-
-    const normalized = normalizeMultiAuthShape(data);
-    if (!normalized.value || !Array.isArray(normalized.value.accounts)) continue;
-    sources.push({ sourcePath, data: normalized.value });
-  }
-
-  if (sources.length === 0) return null;
-
-  const merged = mergeMultiAuthSources(sources.map((source) => source.data));
-  if (!merged) return null;
-
-  const canonical = sources.find((source) => source.sourcePath === MULTI_AUTH_FILE)?.data ?? null;
-
-  if (!canonical || JSON.stringify(canonical) !== JSON.stringify(merged)) {
-    saveMultiAuth(merged);
-  }
-
-  return merged;
-}
-
-// Save multi-account-auth.json
-function saveMultiAuth(multiAuth) {
-  safeWriteJSON(MULTI_AUTH_FILE, multiAuth);
-}
-
-// Read state.json (usage, currentAccount, requestCount)
-function getState() {
-  const { data, sourcePath } = readJsonWithFallback(
-    [STATE_FILE, LEGACY_STATE_FILE],
-    {}
-  );
-
-  if (sourcePath === LEGACY_STATE_FILE && data && typeof data === "object") {
-    saveState(data);
-  }
-
-  return data;
-}
-
-// Save state.json
-function saveState(state) {
-  safeWriteJSON(STATE_FILE, state);
-}
+import { createServer } from "http";
+import {
+  CLIENT_ID,
+  METRICS_HOST,
+  RATE_LIMIT_STATUSES,
+  isPlainObject,
+  getMultiAuth,
+  getPoolAccounts,
+  getState,
+  saveState,
+  isAccountUnavailable,
+  logEvent,
+  renderMetrics,
+  ensureAllAccountsInState,
+  resolveStaleMetrics,
+  recordTokenUsage,
+  getOverflowKey,
+  isPoolExhausted,
+  enterOverflow,
+  recordOverflowUsage,
+  getConversationFingerprint,
+  recordAffinity,
+  chooseAccount,
+  setCurrentAccount,
+  recordRateLimited,
+  recordAuthFailure,
+  isScopeFailureResponse,
+  recordServed,
+  toSingleAccount,
+  SINGLE_ACCOUNT_STORE,
+  startBackgroundRefresh,
+  ensureFreshAccountToken,
+} from "./core.mjs";
 
 /**
  * @param {"max" | "console"} mode
@@ -281,231 +96,202 @@ async function exchange(code, verifier) {
   };
 }
 
-/**
- * Select account using weighted rotation
- * @param {Array} accounts
- * @param {number} requestCount
- */
-// DEPRECATED: Replaced by selectThresholdAccount() in Task 3
-// function selectWeightedAccount(accounts, requestCount) {
-//   if (!accounts || accounts.length === 0) return null;
-//
-//   const totalWeight = accounts.reduce((sum, acc) => sum + (acc.weight || 1), 0);
-//   const position = requestCount % totalWeight;
-//
-//   let cumulative = 0;
-//   for (const account of accounts) {
-//     cumulative += (acc.weight || 1);
-//     if (position < cumulative) return account;
-//   }
-//   return accounts[0];
-// }
+let metricsServer = null;
 
 /**
- * Normalize threshold/recover config - supports both a single number and per-metric object.
- * @param {number|{session5h?: number, weekly7d?: number, weekly7dSonnet?: number}} value
- * @param {number} fallback
+ * Serve /metrics on METRICS_HOST:port, re-reading the state file on every scrape.
+ * When another process (e.g. a second OpenCode window) already holds the port, it keeps serving.
  */
-function normalizeThresholds(value, fallback) {
-  if (typeof value === 'number') return { session5h: value, weekly7d: value, weekly7dSonnet: value };
-  if (typeof value === 'object' && value !== null) {
-    return {
-      session5h: value.session5h ?? fallback,
-      weekly7d: value.weekly7d ?? fallback,
-      weekly7dSonnet: value.weekly7dSonnet ?? fallback
-    };
-  }
-  return { session5h: fallback, weekly7d: fallback, weekly7dSonnet: fallback };
+function startMetricsServer(port) {
+  if (metricsServer) return;
+  metricsServer = createServer((req, res) => {
+    if (req.method !== "GET" || !req.url?.startsWith("/metrics")) {
+      res.writeHead(404).end();
+      return;
+    }
+    const openMetrics = (req.headers.accept || "").includes("application/openmetrics-text");
+    const accountNames = getPoolAccounts().accounts.map((account) => account.name);
+    res.writeHead(200, {
+      "content-type": openMetrics
+        ? "application/openmetrics-text; version=1.0.0; charset=utf-8"
+        : "text/plain; version=0.0.4; charset=utf-8",
+    });
+    res.end(renderMetrics(getState(), accountNames, openMetrics));
+  });
+  metricsServer.on("error", (e) => {
+    if (e?.code !== "EADDRINUSE") console.warn(`[multi-account] metrics server failed:`, e);
+    metricsServer = null;
+  });
+  metricsServer.listen(port, METRICS_HOST);
+  metricsServer.unref();
 }
 
-const EMPTY_USAGE = {
-  session5h: { utilization: 0, reset: null, status: 'allowed' },
-  weekly7d: { utilization: 0, reset: null, status: 'allowed' },
-  weekly7dSonnet: { utilization: 0, reset: null, status: 'allowed' },
-  timestamp: null
-};
+// ---------------------------------------------------------------------------
+// Response rewriting. Tool names are sent as `mcp_<name>` and restored in the
+// response: only the exact names prefixed on the request side, and only on
+// tool_use blocks, so model text and tool input are never touched. The same pass
+// collects the token `usage` of the message.
+// ---------------------------------------------------------------------------
 
-const AUTH_FAILURE_COOLDOWN = 60 * 60 * 1000;
+const TOOL_PREFIX = "mcp_";
 
-function ensureAllAccountsInState(accounts, state) {
-  if (!accounts?.length) return false;
-  state.usage = state.usage || {};
-  let changed = false;
-  for (const account of accounts) {
-    if (!state.usage[account.name]) {
-      state.usage[account.name] = structuredClone(EMPTY_USAGE);
-      changed = true;
-    }
-  }
-  return changed;
-}
+/**
+ * Prefix tool definitions and tool_use blocks of a parsed request body in place.
+ * @returns {Map<string, string>} prefixed name → original name
+ */
+function prefixToolNames(parsed) {
+  const toolNames = new Map();
+  const prefix = (name) => {
+    const prefixed = `${TOOL_PREFIX}${name}`;
+    toolNames.set(prefixed, name);
+    return prefixed;
+  };
 
-function resolveStaleMetrics(state) {
-  const usage = state.usage;
-  if (!usage) return false;
-  const now = Date.now();
-  let changed = false;
-  for (const accountName of Object.keys(usage)) {
-    for (const key of ['session5h', 'weekly7d', 'weekly7dSonnet']) {
-      const metric = usage[accountName]?.[key];
-      if (metric?.reset && metric.reset * 1000 < now && metric.utilization > 0) {
-        metric.utilization = 0;
-        metric.status = 'allowed';
-        changed = true;
+  if (parsed.tools && Array.isArray(parsed.tools)) {
+    parsed.tools = parsed.tools.map((tool) => ({
+      ...tool,
+      name: tool.name ? prefix(tool.name) : tool.name,
+    }));
+  }
+  if (parsed.messages && Array.isArray(parsed.messages)) {
+    parsed.messages = parsed.messages.map((msg) => {
+      if (msg.content && Array.isArray(msg.content)) {
+        msg.content = msg.content.map((block) => {
+          if (block.type === "tool_use" && block.name) {
+            return { ...block, name: prefix(block.name) };
+          }
+          return block;
+        });
       }
-    }
+      return msg;
+    });
   }
-  return changed;
+  return toolNames;
 }
 
-function selectThresholdAccount(accounts, state) {
-  const config = state?.config || {};
-  const thresholds = normalizeThresholds(config.threshold, 0.70);
-  const CHECK_INTERVAL = config.checkInterval ?? 3600000;
-  const now = Date.now();
-  const authFailures = state?.authFailures || {};
-
-  function isTemporarilyUnavailable(accountName) {
-    const until = authFailures?.[accountName];
-    return typeof until === 'number' && until > now;
-  }
-
-  if (!accounts || accounts.length === 0) return null;
-  if (accounts.length === 1) return accounts[0];
+function unprefixToolBlock(block, toolNames) {
+  if (block?.type !== "tool_use" || !toolNames.has(block.name)) return false;
+  block.name = toolNames.get(block.name);
+  return true;
+}
 
-  const primary = accounts[0];
-  const fallbacks = accounts.slice(1);
+const SSE_PARSED_EVENTS = ["message_start", "message_delta", "content_block_start"];
 
-  if (!state || !state.currentAccount) {
-    return primary;
+// Merge numeric usage fields; message_delta carries running totals, so later values win
+function collectUsage(ctx, model, usage) {
+  if (typeof model === "string") ctx.model = model;
+  if (!isPlainObject(usage)) return;
+  ctx.usage ??= {};
+  for (const [field, value] of Object.entries(usage)) {
+    if (typeof value === "number") ctx.usage[field] = value;
   }
+}
 
-  function isOverThreshold(usage) {
-    if (!usage) return false;
-    return (
-      (usage.session5h?.utilization || 0) > thresholds.session5h ||
-      (usage.weekly7d?.utilization || 0) > thresholds.weekly7d ||
-      (usage.weekly7dSonnet?.utilization || 0) > thresholds.weekly7dSonnet
-    );
-  }
+/**
+ * Rewrite one SSE event (without its trailing blank line), collecting usage into `ctx`.
+ * Anything but a matching content_block_start passes through verbatim.
+ */
+function rewriteSSEEvent(event, ctx) {
+  if (!SSE_PARSED_EVENTS.some((type) => event.includes(type))) return event;
+  const lines = event.split(/\r?\n/);
+  const dataLines = lines.filter((line) => line.startsWith("data:"));
+  if (dataLines.length === 0) return event;
 
-  function getExceededMetric(usage) {
-    if (!usage) return { name: 'unknown', value: 0, threshold: 1 };
-    const metrics = [
-      { name: 'session (5h)', value: usage.session5h?.utilization || 0, threshold: thresholds.session5h },
-      { name: 'weekly (all)', value: usage.weekly7d?.utilization || 0, threshold: thresholds.weekly7d },
-      { name: 'weekly (Sonnet)', value: usage.weekly7dSonnet?.utilization || 0, threshold: thresholds.weekly7dSonnet }
-    ];
-    return metrics.reduce((max, m) => (m.value / m.threshold) > (max.value / max.threshold) ? m : max);
+  let data;
+  try {
+    data = JSON.parse(dataLines.map((line) => line.slice(5).replace(/^ /, "")).join("\n"));
+  } catch {
+    return event;
   }
-
-  function getUtilizationScore(usage) {
-    if (!usage) return 0;
-    return Math.max(
-      (usage.session5h?.utilization || 0) / thresholds.session5h,
-      (usage.weekly7d?.utilization || 0) / thresholds.weekly7d,
-      (usage.weekly7dSonnet?.utilization || 0) / thresholds.weekly7dSonnet
-    );
+  if (data?.type === "message_start") collectUsage(ctx, data.message?.model, data.message?.usage);
+  if (data?.type === "message_delta") collectUsage(ctx, null, data.usage);
+  if (data?.type !== "content_block_start" || !unprefixToolBlock(data.content_block, ctx.toolNames)) {
+    return event;
   }
 
-  const primaryUsage = state.usage?.[primary.name];
-  const currentIsPrimary = state.currentAccount === primary.name;
+  const rewritten = lines.filter((line) => !line.startsWith("data:"));
+  rewritten.push(`data: ${JSON.stringify(data)}`);
+  return rewritten.join("\n");
+}
 
-  if (currentIsPrimary) {
-    if (isOverThreshold(primaryUsage)) {
-      for (const fallback of fallbacks) {
-        const fallbackUsage = state.usage?.[fallback.name];
-        if (!isOverThreshold(fallbackUsage) && !isTemporarilyUnavailable(fallback.name)) {
-          const exceeded = getExceededMetric(primaryUsage);
-          console.log(`[multi-account] ${primary.name} → ${fallback.name}: ${exceeded.name} at ${Math.round(exceeded.value * 100)}% (threshold ${Math.round(exceeded.threshold * 100)}%)`);
-          return fallback;
+// Buffer the stream into whole SSE events so names split across chunks are still seen intact
+function createRewriteStream(body, ctx, onUsage) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  const encoder = new TextEncoder();
+  let buffer = "";
+
+  return new ReadableStream({
+    async pull(controller) {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) {
+          buffer += decoder.decode();
+          if (buffer) controller.enqueue(encoder.encode(rewriteSSEEvent(buffer, ctx)));
+          controller.close();
+          if (ctx.usage && onUsage) onUsage(ctx.model, ctx.usage);
+          return;
         }
-      }
-      const availableFallbacks = fallbacks.filter((fallback) => !isTemporarilyUnavailable(fallback.name));
-      const pool = availableFallbacks.length > 0 ? availableFallbacks : fallbacks;
-      const best = pool.reduce((lowest, f) => {
-        return getUtilizationScore(state.usage?.[f.name]) < getUtilizationScore(state.usage?.[lowest.name]) ? f : lowest;
-      }, pool[0]);
-      const exceeded = getExceededMetric(primaryUsage);
-      console.log(`[multi-account] ${primary.name} → ${best.name}: ${exceeded.name} at ${Math.round(exceeded.value * 100)}% (all accounts busy)`);
-      return best;
-    }
-    return primary;
-  } else {
-    const lastCheck = state.lastPrimaryCheck || 0;
-    
-    function getEarliestResetTime(usage) {
-      if (!usage) return null;
-      const resets = [
-        usage.session5h?.reset,
-        usage.weekly7d?.reset,
-        usage.weekly7dSonnet?.reset
-      ].filter(r => r != null);
-      if (resets.length === 0) return null;
-      return Math.min(...resets) * 1000;
-    }
-    
-    const earliestReset = getEarliestResetTime(primaryUsage);
-    const resetPassed = earliestReset && earliestReset <= now && earliestReset > lastCheck;
-    const intervalPassed = (now - lastCheck) > CHECK_INTERVAL;
-    
-    if (resetPassed || intervalPassed) {
-      state.lastPrimaryCheck = now;
-      
-      if (!isOverThreshold(primaryUsage)) {
-        console.log(`[multi-account] → ${primary.name}: under threshold, switching back`);
-        return primary;
-      }
-    }
-    
-    const current = accounts.find((candidate) => candidate.name === state.currentAccount);
-    if (current && !isTemporarilyUnavailable(current.name)) {
-      return current;
-    }
 
-    const nextFallback = fallbacks.find((fallback) => !isTemporarilyUnavailable(fallback.name));
-    return nextFallback || primary;
-  }
+        buffer += decoder.decode(value, { stream: true });
+        const boundary = /\r?\n\r?\n/g;
+        let output = "";
+        let start = 0;
+        let match;
+        while ((match = boundary.exec(buffer))) {
+          output += rewriteSSEEvent(buffer.slice(start, match.index), ctx) + match[0];
+          start = match.index + match[0].length;
+        }
+        buffer = buffer.slice(start);
+        if (output) {
+          controller.enqueue(encoder.encode(output));
+          return;
+        }
+      }
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    },
+  });
 }
 
-async function ensureFreshAccountToken(account, multiAuth) {
-  if (account.access && account.expires > Date.now()) {
-    return { ok: true };
-  }
+/**
+ * Undo prefixToolNames in a response (content_block_start events of an SSE stream, or the
+ * `content` blocks of a non-streaming JSON message) and report its usage to `onUsage(model, usage)`,
+ * for streams once the body has been read to the end.
+ */
+async function rewriteResponse(response, toolNames, onUsage = null) {
+  if (!response.body || (toolNames.size === 0 && !onUsage)) return response;
 
-  const response = await fetch(
-    "https://console.anthropic.com/v1/oauth/token",
-    {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        grant_type: "refresh_token",
-        refresh_token: account.refresh,
-        client_id: CLIENT_ID,
-      }),
-    },
-  );
+  const contentType = response.headers.get("content-type") || "";
+  const headers = new Headers(response.headers);
+  headers.delete("content-length");
+  const init = { status: response.status, statusText: response.statusText, headers };
 
-  if (!response.ok) {
-    return {
-      ok: false,
-      status: response.status,
-    };
+  if (contentType.includes("text/event-stream")) {
+    return new Response(createRewriteStream(response.body, { toolNames, model: null, usage: null }, onUsage), init);
   }
+  if (contentType.includes("application/json")) {
+    const text = await response.text();
+    try {
+      const data = JSON.parse(text);
+      if (onUsage && isPlainObject(data?.usage)) onUsage(data.model ?? null, data.usage);
+      const changed = Array.isArray(data?.content) && data.content.filter((block) => unprefixToolBlock(block, toolNames)).length > 0;
+      if (changed) return new Response(JSON.stringify(data), init);
+    } catch {
+      // not JSON after all: pass through
+    }
+    return new Response(text, init);
+  }
+  return response;
+}
 
-  const json = await response.json();
-  account.access = json.access_token;
-  account.refresh = json.refresh_token;
-  account.expires = Date.now() + json.expires_in * 1000;
-  account.accessToken = account.access;
-  account.refreshToken = account.refresh;
-  account.expiresAt = account.expires;
-
-  saveMultiAuth(multiAuth);
-
-  return { ok: true };
+// An API-style error for the caller (OpenCode or a proxy client) instead of a rejected fetch
+function errorResponse(status, type, message) {
+  return new Response(JSON.stringify({ type: "error", error: { type, message } }), {
+    status,
+    headers: { "content-type": "application/json" },
+  });
 }
 
 /**
@@ -530,12 +316,13 @@ export async function AnthropicAuthPlugin({ client }) {
         // Bug fix: handle undefined auth
         if (!auth) return {};
 
-        // Check for multi-account mode by reading separate multi-account-auth.json
-        const multiAuth = getMultiAuth();
-        const hasMultiAccounts = multiAuth?.accounts?.length > 0;
+        // Multi-account mode uses the accounts file. Without one (single-account mode), OpenCode's
+        // own login runs through the same selection, usage capture and state as a one-account pool.
+        if (auth.type === "oauth") {
+          startBackgroundRefresh();
+          const metricsPort = getState().config?.metricsPort;
+          if (metricsPort) startMetricsServer(metricsPort);
 
-        // Handle multi-account auth
-        if (auth.type === "oauth" && hasMultiAccounts) {
           // zero out cost for max plan
           for (const model of Object.values(provider.models)) {
             model.cost = {
@@ -548,6 +335,23 @@ export async function AnthropicAuthPlugin({ client }) {
             };
           }
 
+          // Single-account refreshes are saved through OpenCode's auth API
+          const singleAccountStore = {
+            ...SINGLE_ACCOUNT_STORE,
+            persist: (account) =>
+              client.auth.set({
+                path: {
+                  id: "anthropic",
+                },
+                body: {
+                  type: "oauth",
+                  refresh: account.refresh,
+                  access: account.access,
+                  expires: account.expires,
+                },
+              }),
+          };
+
           return {
             apiKey: "",
             /**
@@ -555,56 +359,117 @@ export async function AnthropicAuthPlugin({ client }) {
              * @param {any} init
              */
             async fetch(input, init) {
-              // Read accounts from multi-account-auth.json, state from state.json
+              // Read accounts from the accounts file (or OpenCode's login), state from state.json
               const multiAuth = getMultiAuth();
-              if (!multiAuth?.accounts?.length) {
-                return fetch(input, init);
+              let accounts = multiAuth?.accounts;
+              let store;
+              if (!accounts?.length) {
+                const single = toSingleAccount(await getAuth());
+                if (!single) return fetch(input, init);
+                accounts = [single];
+                store = singleAccountStore;
               }
 
-              const accounts = multiAuth.accounts;
               const state = getState();
+              const requestInit = init ?? {};
+
+              let requestModel = null;
+              let conversationKey = null;
+              let toolNames = new Map();
+              let body = requestInit.body;
+              if (body && typeof body === "string") {
+                try {
+                  const parsed = JSON.parse(body);
+                  requestModel = typeof parsed.model === "string" ? parsed.model : null;
+                  conversationKey = getConversationFingerprint(parsed);
+
+                  // Sanitize system prompt - server blocks "OpenCode" string
+                  if (parsed.system && Array.isArray(parsed.system)) {
+                    parsed.system = parsed.system.map((item) => {
+                      if (item.type === "text" && item.text) {
+                        return {
+                          ...item,
+                          text: item.text
+                            .replace(/OpenCode/g, "Claude Code")
+                            .replace(/opencode/gi, "Claude"),
+                        };
+                      }
+                      return item;
+                    });
+                  }
+
+                  toolNames = prefixToolNames(parsed);
+                  body = JSON.stringify(parsed);
+                } catch (e) {
+                  // ignore parse errors
+                }
+              }
 
                ensureAllAccountsInState(accounts, state);
                resolveStaleMetrics(state);
 
-               let account = selectThresholdAccount(accounts, state);
-               if (!account) {
-                 throw new Error("No accounts configured for multi-account");
-               }
-
-               // Track state for threshold logic
-               const previousAccount = state.currentAccount;
+               // The overflow API key (under its daily cap) serves requests no OAuth account can;
+               // account stays null while it does
+               const overflowKey = getOverflowKey(multiAuth, state);
                const primaryName = accounts[0]?.name;
-               state.currentAccount = account.name;
-               if (account.name !== previousAccount && account.name !== primaryName) {
-                 state.lastPrimaryCheck = Date.now();
+               let account = null;
+               if (overflowKey && isPoolExhausted(accounts, state, requestModel)) {
+                 enterOverflow(state, `no account can serve ${requestModel}: using the overflow API key`, {
+                   reason: "exhausted",
+                   model: requestModel,
+                 });
+               } else {
+                 // Pin, affinity and routing picks leave currentAccount alone (see chooseAccount)
+                 const choice = chooseAccount(accounts, state, { model: requestModel, conversation: conversationKey });
+                 account = choice.account;
+                 if (!account && !overflowKey) {
+                   saveState(state);
+                   return errorResponse(503, "overloaded_error", "No account available: every account is excluded (run `unpin` to clear exclusions)");
+                 }
+
+                 // Track state for threshold logic
+                 if (account && !choice.routed) {
+                   setCurrentAccount(state, account.name, primaryName, choice.plan);
+                 }
                }
 
                // Refresh account token, fallback to other account on token failure.
                const attemptedAccounts = new Set();
-               while (true) {
-                 const refreshResult = await ensureFreshAccountToken(account, multiAuth);
+               while (account) {
+                 const refreshResult = await ensureFreshAccountToken(account, store);
                  if (refreshResult.ok) break;
 
                  attemptedAccounts.add(account.name);
-                 const fallback = accounts.find((candidate) => !attemptedAccounts.has(candidate.name));
+                 recordAuthFailure(state, account.name, { status: refreshResult.status, reason: "refresh_failed" });
+                 const fallback = accounts.find(
+                   (candidate) =>
+                     !attemptedAccounts.has(candidate.name) &&
+                     !isAccountUnavailable(state, candidate.name, Date.now(), requestModel),
+                 );
+                 if (!fallback && overflowKey) {
+                   enterOverflow(state, `refresh failed for ${account.name} (${refreshResult.status}), no account left: using the overflow API key`, {
+                     from: account.name,
+                     reason: "refresh_failed",
+                     status: refreshResult.status,
+                     model: requestModel,
+                   });
+                   account = null;
+                   break;
+                 }
                  if (!fallback) {
-                   throw new Error(`Token refresh failed for ${account.name}: ${refreshResult.status}`);
+                   saveState(state);
+                   return errorResponse(401, "authentication_error", `Token refresh failed for ${account.name}: ${refreshResult.status}`);
                  }
 
                  console.warn(`[multi-account] refresh failed for ${account.name} (${refreshResult.status}), trying ${fallback.name}`);
+                 logEvent("failover", { from: account.name, to: fallback.name, reason: "refresh_failed", status: refreshResult.status });
                  account = fallback;
-                 state.currentAccount = account.name;
-                 if (account.name !== previousAccount && account.name !== primaryName) {
-                   state.lastPrimaryCheck = Date.now();
-                 }
+                 setCurrentAccount(state, account.name, primaryName);
                }
 
               // Increment request counter
               state.requestCount = (state.requestCount || 0) + 1;
 
-              const requestInit = init ?? {};
-
               const requestHeaders = new Headers();
               if (input instanceof Request) {
                 input.headers.forEach((value, key) => {
@@ -648,7 +513,6 @@ export async function AnthropicAuthPlugin({ client }) {
                 ...new Set([...requiredBetas, ...incomingBetasList]),
               ].join(",");
 
-              requestHeaders.set("authorization", `Bearer ${account.access}`);
               requestHeaders.set("anthropic-beta", mergedBetas);
               requestHeaders.set(
                 "user-agent",
@@ -656,59 +520,6 @@ export async function AnthropicAuthPlugin({ client }) {
               );
               requestHeaders.delete("x-api-key");
 
-              const TOOL_PREFIX = "mcp_";
-              let body = requestInit.body;
-              if (body && typeof body === "string") {
-                try {
-                  const parsed = JSON.parse(body);
-
-                  // Sanitize system prompt - server blocks "OpenCode" string
-                  if (parsed.system && Array.isArray(parsed.system)) {
-                    parsed.system = parsed.system.map((item) => {
-                      if (item.type === "text" && item.text) {
-                        return {
-                          ...item,
-                          text: item.text
-                            .replace(/OpenCode/g, "Claude Code")
-                            .replace(/opencode/gi, "Claude"),
-                        };
-                      }
-                      return item;
-                    });
-                  }
-
-                  // Add prefix to tools definitions
-                  if (parsed.tools && Array.isArray(parsed.tools)) {
-                    parsed.tools = parsed.tools.map((tool) => ({
-                      ...tool,
-                      name: tool.name
-                        ? `${TOOL_PREFIX}${tool.name}`
-                        : tool.name,
-                    }));
-                  }
-                  // Add prefix to tool_use blocks in messages
-                  if (parsed.messages && Array.isArray(parsed.messages)) {
-                    parsed.messages = parsed.messages.map((msg) => {
-                      if (msg.content && Array.isArray(msg.content)) {
-                        msg.content = msg.content.map((block) => {
-                          if (block.type === "tool_use" && block.name) {
-                            return {
-                              ...block,
-                              name: `${TOOL_PREFIX}${block.name}`,
-                            };
-                          }
-                          return block;
-                        });
-                      }
-                      return msg;
-                    });
-                  }
-                  body = JSON.stringify(parsed);
-                } catch (e) {
-                  // ignore parse errors
-                }
-              }
-
               let requestInput = input;
               let requestUrl = null;
               try {
@@ -733,24 +544,22 @@ export async function AnthropicAuthPlugin({ client }) {
                     : requestUrl;
               }
 
-              function isScopeFailureResponse(responseBody, status) {
-                if (status !== 401 && status !== 403) return false;
-                if (!responseBody) return status === 401;
-                const text = responseBody.toLowerCase();
-                return (
-                  text.includes("scope requirement") ||
-                  text.includes("oauth token does not meet scope requirement") ||
-                  text.includes("invalid oauth token") ||
-                  text.includes("unauthorized")
-                );
-              }
-
               const attemptedRequestAccounts = new Set();
               let response;
 
               while (true) {
-                attemptedRequestAccounts.add(account.name);
-                requestHeaders.set("authorization", `Bearer ${account.access}`);
+                if (account) {
+                  attemptedRequestAccounts.add(account.name);
+                  requestHeaders.set("authorization", `Bearer ${account.access}`);
+                } else {
+                  // Overflow: the API key replaces the OAuth token and its beta
+                  requestHeaders.delete("authorization");
+                  requestHeaders.set("x-api-key", overflowKey);
+                  requestHeaders.set(
+                    "anthropic-beta",
+                    mergedBetas.split(",").filter((beta) => beta !== "oauth-2025-04-20").join(","),
+                  );
+                }
 
                 response = await fetch(requestInput, {
                   ...requestInit,
@@ -758,342 +567,105 @@ export async function AnthropicAuthPlugin({ client }) {
                   headers: requestHeaders,
                 });
 
-                if (response.status !== 401 && response.status !== 403) {
-                  break;
-                }
+                // Overflow responses are returned as they are
+                if (!account) break;
+
+                let retryReason;
+                if (RATE_LIMIT_STATUSES.has(response.status)) {
+                  // Throttled or overloaded: park this account and replay the same body elsewhere
+                  recordRateLimited(state, account.name, response.status, response.headers);
+                  retryReason = `rate limited (${response.status})`;
+                } else if (response.status === 401 || response.status === 403) {
+                  let responseBody = "";
+                  try {
+                    responseBody = await response.clone().text();
+                  } catch {
+                    responseBody = "";
+                  }
 
-                let responseBody = "";
-                try {
-                  responseBody = await response.clone().text();
-                } catch {
-                  responseBody = "";
-                }
+                  if (!isScopeFailureResponse(responseBody, response.status)) {
+                    break;
+                  }
 
-                if (!isScopeFailureResponse(responseBody, response.status)) {
+                  recordAuthFailure(state, account.name, { status: response.status });
+                  retryReason = "auth scope failed";
+                } else {
                   break;
                 }
 
-                state.authFailures = state.authFailures || {};
-                state.authFailures[account.name] = Date.now() + AUTH_FAILURE_COOLDOWN;
-
-                const retryAccount = accounts.find(
-                  (candidate) =>
-                    !attemptedRequestAccounts.has(candidate.name) &&
-                    (!state.authFailures?.[candidate.name] || state.authFailures[candidate.name] <= Date.now()),
-                );
-
-                if (!retryAccount) {
-                  break;
+                // Next account with a usable token; one whose refresh fails is cooled down and skipped
+                let retryAccount = null;
+                let refreshFailure = null;
+                while (!retryAccount) {
+                  const candidate = accounts.find(
+                    (entry) =>
+                      !attemptedRequestAccounts.has(entry.name) &&
+                      !isAccountUnavailable(state, entry.name, Date.now(), requestModel),
+                  );
+                  if (!candidate) break;
+                  attemptedRequestAccounts.add(candidate.name);
+                  const retryRefresh = await ensureFreshAccountToken(candidate, store);
+                  if (retryRefresh.ok) {
+                    retryAccount = candidate;
+                  } else {
+                    recordAuthFailure(state, candidate.name, { status: retryRefresh.status, reason: "refresh_failed" });
+                    console.warn(`[multi-account] refresh failed for ${candidate.name} (${retryRefresh.status}), skipping it`);
+                    refreshFailure = { account: candidate.name, status: retryRefresh.status };
+                  }
                 }
 
-                console.warn(`[multi-account] auth scope failed for ${account.name}, trying ${retryAccount.name}`);
-                account = retryAccount;
-                state.currentAccount = account.name;
-                if (account.name !== previousAccount && account.name !== primaryName) {
-                  state.lastPrimaryCheck = Date.now();
+                if (!retryAccount && !overflowKey) {
+                  // Nothing left to replay on: the original response stands, unless its
+                  // replacement failed to refresh, which must not reach the client as-is
+                  if (!refreshFailure) break;
+                  await response.body?.cancel().catch(() => {});
+                  saveState(state);
+                  return errorResponse(401, "authentication_error", `Token refresh failed for ${refreshFailure.account}: ${refreshFailure.status}`);
                 }
 
-                const retryRefresh = await ensureFreshAccountToken(account, multiAuth);
-                if (!retryRefresh.ok) {
-                  state.authFailures[account.name] = Date.now() + AUTH_FAILURE_COOLDOWN;
-                  continue;
+                if (RATE_LIMIT_STATUSES.has(response.status)) {
+                  await response.body?.cancel().catch(() => {});
                 }
-              }
-
-              if (state.authFailures?.[account.name]) {
-                delete state.authFailures[account.name];
-              }
 
-              // Capture usage from response headers and save to state
-              // Only update metrics when headers are actually present to avoid
-              // overwriting valid data with zeros (e.g. Sonnet headers only appear on Sonnet requests)
-              state.usage = state.usage || {};
-              const prev = state.usage[account.name] || {};
-
-              function updateMetric(prev, prefix) {
-                const rawUtil = response.headers.get(`${prefix}-utilization`);
-                const rawReset = response.headers.get(`${prefix}-reset`);
-                const rawStatus = response.headers.get(`${prefix}-status`);
-                if (rawUtil === null && rawReset === null && rawStatus === null) {
-                  return prev;
-                }
-                const newReset = rawReset !== null ? (parseInt(rawReset) || null) : null;
-                if (!newReset && prev) {
-                  return prev;
+                if (!retryAccount) {
+                  enterOverflow(state, `${retryReason} for ${account.name}, no account left: using the overflow API key`, {
+                    from: account.name,
+                    reason: RATE_LIMIT_STATUSES.has(response.status) ? "rate_limited" : "auth_failure",
+                    status: response.status,
+                    model: requestModel,
+                  });
+                  account = null;
+                  continue;
                 }
-                return {
-                  utilization: rawUtil !== null ? (parseFloat(rawUtil) || 0) : (prev?.utilization ?? 0),
-                  reset: newReset || (prev?.reset ?? null),
-                  status: rawStatus !== null ? rawStatus : (prev?.status ?? 'unknown')
-                };
-              }
 
-              state.usage[account.name] = {
-                session5h: updateMetric(prev.session5h, 'anthropic-ratelimit-unified-5h'),
-                weekly7d: updateMetric(prev.weekly7d, 'anthropic-ratelimit-unified-7d'),
-                weekly7dSonnet: updateMetric(prev.weekly7dSonnet, 'anthropic-ratelimit-unified-7d_sonnet'),
-                timestamp: new Date().toISOString()
-              };
-
-              // Save state (usage, currentAccount, requestCount)
-              saveState(state);
-
-              // Transform streaming response to rename tools back
-              if (response.body) {
-                const reader = response.body.getReader();
-                const decoder = new TextDecoder();
-                const encoder = new TextEncoder();
-
-                const stream = new ReadableStream({
-                  async pull(controller) {
-                    const { done, value } = await reader.read();
-                    if (done) {
-                      controller.close();
-                      return;
-                    }
-
-                    let text = decoder.decode(value, { stream: true });
-                    text = text.replace(
-                      /"name"\s*:\s*"mcp_([^"]+)"/g,
-                      '"name": "$1"',
-                    );
-                    controller.enqueue(encoder.encode(text));
-                  },
-                });
-
-                return new Response(stream, {
+                console.warn(`[multi-account] ${retryReason} for ${account.name}, trying ${retryAccount.name}`);
+                logEvent("failover", {
+                  from: account.name,
+                  to: retryAccount.name,
+                  reason: RATE_LIMIT_STATUSES.has(response.status) ? "rate_limited" : "auth_failure",
                   status: response.status,
-                  statusText: response.statusText,
-                  headers: response.headers,
                 });
+                account = retryAccount;
+                setCurrentAccount(state, account.name, primaryName);
               }
 
-              return response;
-            },
-          };
-        }
-
-        // Handle single OAuth auth (original behavior)
-        if (auth.type === "oauth") {
-          // zero out cost for max plan
-          for (const model of Object.values(provider.models)) {
-            model.cost = {
-              input: 0,
-              output: 0,
-              cache: {
-                read: 0,
-                write: 0,
-              },
-            };
-          }
-          return {
-            apiKey: "",
-            /**
-             * @param {any} input
-             * @param {any} init
-             */
-            async fetch(input, init) {
-              const auth = await getAuth();
-              if (auth.type !== "oauth") return fetch(input, init);
-              if (!auth.access || auth.expires < Date.now()) {
-                const response = await fetch(
-                  "https://console.anthropic.com/v1/oauth/token",
-                  {
-                    method: "POST",
-                    headers: {
-                      "Content-Type": "application/json",
-                    },
-                    body: JSON.stringify({
-                      grant_type: "refresh_token",
-                      refresh_token: auth.refresh,
-                      client_id: CLIENT_ID,
-                    }),
-                  },
-                );
-                if (!response.ok) {
-                  throw new Error(`Token refresh failed: ${response.status}`);
-                }
-                const json = await response.json();
-                await client.auth.set({
-                  path: {
-                    id: "anthropic",
-                  },
-                  body: {
-                    type: "oauth",
-                    refresh: json.refresh_token,
-                    access: json.access_token,
-                    expires: Date.now() + json.expires_in * 1000,
-                  },
-                });
-                auth.access = json.access_token;
-              }
-              const requestInit = init ?? {};
-
-              const requestHeaders = new Headers();
-              if (input instanceof Request) {
-                input.headers.forEach((value, key) => {
-                  requestHeaders.set(key, value);
-                });
-              }
-              if (requestInit.headers) {
-                if (requestInit.headers instanceof Headers) {
-                  requestInit.headers.forEach((value, key) => {
-                    requestHeaders.set(key, value);
-                  });
-                } else if (Array.isArray(requestInit.headers)) {
-                  for (const [key, value] of requestInit.headers) {
-                    if (typeof value !== "undefined") {
-                      requestHeaders.set(key, String(value));
-                    }
-                  }
-                } else {
-                  for (const [key, value] of Object.entries(
-                    requestInit.headers,
-                  )) {
-                    if (typeof value !== "undefined") {
-                      requestHeaders.set(key, String(value));
-                    }
-                  }
-                }
-              }
-
-              // Preserve all incoming beta headers while ensuring OAuth requirements
-              const incomingBeta = requestHeaders.get("anthropic-beta") || "";
-              const incomingBetasList = incomingBeta
-                .split(",")
-                .map((b) => b.trim())
-                .filter(Boolean);
-
-              const requiredBetas = [
-                "oauth-2025-04-20",
-                "interleaved-thinking-2025-05-14",
-              ];
-              const mergedBetas = [
-                ...new Set([...requiredBetas, ...incomingBetasList]),
-              ].join(",");
-
-              requestHeaders.set("authorization", `Bearer ${auth.access}`);
-              requestHeaders.set("anthropic-beta", mergedBetas);
-              requestHeaders.set(
-                "user-agent",
-                "claude-cli/2.1.2 (external, cli)",
-              );
-              requestHeaders.delete("x-api-key");
-
-              const TOOL_PREFIX = "mcp_";
-              let body = requestInit.body;
-              if (body && typeof body === "string") {
-                try {
-                  const parsed = JSON.parse(body);
-
-                  // Sanitize system prompt - server blocks "OpenCode" string
-                  if (parsed.system && Array.isArray(parsed.system)) {
-                    parsed.system = parsed.system.map((item) => {
-                      if (item.type === "text" && item.text) {
-                        return {
-                          ...item,
-                          text: item.text
-                            .replace(/OpenCode/g, "Claude Code")
-                            .replace(/opencode/gi, "Claude"),
-                        };
-                      }
-                      return item;
-                    });
-                  }
-
-                  // Add prefix to tools definitions
-                  if (parsed.tools && Array.isArray(parsed.tools)) {
-                    parsed.tools = parsed.tools.map((tool) => ({
-                      ...tool,
-                      name: tool.name
-                        ? `${TOOL_PREFIX}${tool.name}`
-                        : tool.name,
-                    }));
-                  }
-                  // Add prefix to tool_use blocks in messages
-                  if (parsed.messages && Array.isArray(parsed.messages)) {
-                    parsed.messages = parsed.messages.map((msg) => {
-                      if (msg.content && Array.isArray(msg.content)) {
-                        msg.content = msg.content.map((block) => {
-                          if (block.type === "tool_use" && block.name) {
-                            return {
-                              ...block,
-                              name: `${TOOL_PREFIX}${block.name}`,
-                            };
-                          }
-                          return block;
-                        });
-                      }
-                      return msg;
-                    });
-                  }
-                  body = JSON.stringify(parsed);
-                } catch (e) {
-                  // ignore parse errors
-                }
-              }
-
-              let requestInput = input;
-              let requestUrl = null;
-              try {
-                if (typeof input === "string" || input instanceof URL) {
-                  requestUrl = new URL(input.toString());
-                } else if (input instanceof Request) {
-                  requestUrl = new URL(input.url);
+              if (account) {
+                recordServed(state, account.name, response.status, response.headers);
+                if (response.ok) {
+                  recordAffinity(state, conversationKey, account.name);
                 }
-              } catch {
-                requestUrl = null;
               }
 
-              if (
-                requestUrl &&
-                requestUrl.pathname === "/v1/messages" &&
-                !requestUrl.searchParams.has("beta")
-              ) {
-                requestUrl.searchParams.set("beta", "true");
-                requestInput =
-                  input instanceof Request
-                    ? new Request(requestUrl.toString(), input)
-                    : requestUrl;
-              }
+              // Save state (usage, currentAccount, requestCount)
+              saveState(state);
 
-              const response = await fetch(requestInput, {
-                ...requestInit,
-                body,
-                headers: requestHeaders,
+              // Rename prefixed tools back; token usage (or overflow spend) is saved once the response is read
+              const servedBy = account?.name;
+              return rewriteResponse(response, toolNames, (model, usage) => {
+                if (servedBy) recordTokenUsage(state, servedBy, model || requestModel, usage);
+                else recordOverflowUsage(state, model || requestModel, usage);
+                saveState(state);
               });
-
-              // Transform streaming response to rename tools back
-              if (response.body) {
-                const reader = response.body.getReader();
-                const decoder = new TextDecoder();
-                const encoder = new TextEncoder();
-
-                const stream = new ReadableStream({
-                  async pull(controller) {
-                    const { done, value } = await reader.read();
-                    if (done) {
-                      controller.close();
-                      return;
-                    }
-
-                    let text = decoder.decode(value, { stream: true });
-                    text = text.replace(
-                      /"name"\s*:\s*"mcp_([^"]+)"/g,
-                      '"name": "$1"',
-                    );
-                    controller.enqueue(encoder.encode(text));
-                  },
-                });
-
-                return new Response(stream, {
-                  status: response.status,
-                  statusText: response.statusText,
-                  headers: response.headers,
-                });
-              }
-
-              return response;
             },
           };
         }
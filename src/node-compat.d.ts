@@ -1,10 +1,27 @@
 declare module "fs" {
   export const readFileSync: any;
   export const writeFileSync: any;
+  export const appendFileSync: any;
   export const existsSync: any;
   export const copyFileSync: any;
   export const renameSync: any;
   export const mkdirSync: any;
+  export const openSync: any;
+  export const closeSync: any;
+  export const unlinkSync: any;
+  export const statSync: any;
+}
+
+declare module "crypto" {
+  export const createHash: any;
+  export const createCipheriv: any;
+  export const createDecipheriv: any;
+  export const randomBytes: any;
+  export const scryptSync: any;
+}
+
+declare module "http" {
+  export const createServer: any;
 }
 
 declare module "os" {
@@ -22,3 +39,4 @@ declare module "readline" {
 }
 
 declare const process: any;
+declare const Buffer: any;
@@ -0,0 +1,92 @@
+import { test, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, mkdirSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+// Core resolves its files from the home directory when it is imported
+const home = mkdtempSync(join(tmpdir(), "multi-account-api-"));
+process.env.HOME = home;
+const configDir = join(home, ".config/opencode");
+mkdirSync(configDir, { recursive: true });
+const core = await import("../src/core.mjs");
+
+const future = Date.now() + 3600000;
+
+function writeAccounts(accounts) {
+  writeFileSync(join(configDir, "anthropic-multi-account-accounts.json"), JSON.stringify({ accounts }));
+}
+
+function writeState(state) {
+  writeFileSync(join(configDir, "anthropic-multi-account-state.json"), JSON.stringify(state));
+}
+
+function readState() {
+  return JSON.parse(readFileSync(join(configDir, "anthropic-multi-account-state.json"), "utf-8"));
+}
+
+beforeEach(() => {
+  writeAccounts([
+    { name: "a", access: "A", refresh: "ra", expires: future },
+    { name: "b", access: "B", refresh: "rb", expires: future },
+  ]);
+  writeState({});
+});
+
+after(() => {
+  rmSync(home, { recursive: true, force: true });
+});
+
+test("recordResponse cools an account down after a 401 scope failure", () => {
+  core.recordResponse("a", { status: 401, body: '{"error":{"message":"OAuth token does not meet scope requirement"}}' });
+  assert.ok(readState().authFailures.a > Date.now());
+});
+
+test("recordResponse passes a 403 that is not a scope failure without a cooldown", () => {
+  core.recordResponse("a", { status: 403, body: '{"error":{"message":"Request not allowed"}}' });
+  const state = readState();
+  assert.equal(state.authFailures?.a, undefined);
+  assert.equal(state.counters.a.requests, 1);
+});
+
+test("recordResponse without a body cools down on any 401/403", () => {
+  core.recordResponse("a", { status: 403 });
+  assert.ok(readState().authFailures.a > Date.now());
+});
+
+// Manual overrides: pin and exclude
+
+test("selectAccount uses a pinned account without moving currentAccount", async () => {
+  writeState({ currentAccount: "a", pin: { account: "b", until: future } });
+
+  assert.equal((await core.selectAccount()).name, "b");
+  assert.equal(readState().currentAccount, "a");
+});
+
+test("an expired pin is cleared and selection goes back to primary-first", async () => {
+  writeState({ currentAccount: "a", pin: { account: "b", until: Date.now() - 1000 } });
+
+  assert.equal((await core.selectAccount()).name, "a");
+  assert.equal(readState().pin, undefined);
+});
+
+test("a pinned account that is cooling down is passed over while the pin stays", async () => {
+  writeState({ currentAccount: "a", pin: { account: "b", until: null }, rateLimited: { b: future } });
+
+  assert.equal((await core.selectAccount()).name, "a");
+  assert.deepEqual(readState().pin, { account: "b", until: null });
+});
+
+test("selectAccount skips an excluded account until its exclusion ends", async () => {
+  writeState({ currentAccount: "a", excluded: { a: future } });
+  assert.equal((await core.selectAccount()).name, "b");
+
+  writeState({ currentAccount: "a", excluded: { a: Date.now() - 1000 } });
+  assert.equal((await core.selectAccount()).name, "a");
+});
+
+test("selectAccount throws when every account is excluded", async () => {
+  writeState({ excluded: { a: future, b: future } });
+
+  await assert.rejects(core.selectAccount(), /every account is excluded/);
+});
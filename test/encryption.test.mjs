@@ -0,0 +1,82 @@
+import { test, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, mkdirSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+// Core resolves its files from the home directory when it is imported
+const home = mkdtempSync(join(tmpdir(), "multi-account-encryption-"));
+process.env.HOME = home;
+const configDir = join(home, ".config/opencode");
+mkdirSync(configDir, { recursive: true });
+const core = await import("../src/core.mjs");
+
+const accountsFile = join(configDir, "anthropic-multi-account-accounts.json");
+const keyFile = join(configDir, "test.key");
+const accounts = { accounts: [{ name: "a", access: "secret-access", refresh: "secret-refresh", expires: Date.now() + 3600000 }] };
+
+afterEach(() => {
+  delete process.env[core.PASSPHRASE_ENV];
+  delete process.env[core.KEY_FILE_ENV];
+});
+
+after(() => {
+  rmSync(home, { recursive: true, force: true });
+});
+
+test("a passphrase-encrypted envelope decrypts back to the same value", () => {
+  process.env[core.PASSPHRASE_ENV] = "correct horse";
+  const envelope = core.encryptJSON(accounts);
+
+  assert.equal(envelope.encrypted.kdf, "scrypt");
+  assert.equal(JSON.stringify(envelope).includes("secret-refresh"), false);
+  assert.deepEqual(core.decryptJSON(envelope.encrypted), accounts);
+});
+
+test("a key-file-encrypted envelope decrypts back to the same value", () => {
+  writeFileSync(keyFile, "0123456789abcdef0123456789abcdef\n");
+  process.env[core.KEY_FILE_ENV] = keyFile;
+  const envelope = core.encryptJSON(accounts);
+
+  assert.equal(envelope.encrypted.kdf, "keyfile");
+  assert.deepEqual(core.decryptJSON(envelope.encrypted), accounts);
+});
+
+test("a wrong passphrase or a tampered envelope does not decrypt", () => {
+  process.env[core.PASSPHRASE_ENV] = "correct horse";
+  const { encrypted } = core.encryptJSON(accounts);
+
+  process.env[core.PASSPHRASE_ENV] = "wrong horse";
+  assert.throws(() => core.decryptJSON(encrypted));
+
+  process.env[core.PASSPHRASE_ENV] = "correct horse";
+  const data = Buffer.from(encrypted.data, "base64");
+  data[0] ^= 1;
+  assert.throws(() => core.decryptJSON({ ...encrypted, data: data.toString("base64") }));
+});
+
+test("saving an encrypted accounts file keeps it encrypted", async () => {
+  process.env[core.PASSPHRASE_ENV] = "correct horse";
+  writeFileSync(accountsFile, JSON.stringify(core.encryptJSON(accounts)));
+
+  const multiAuth = core.getMultiAuth();
+  multiAuth.accounts[0].access = "rotated-access";
+  assert.equal(await core.saveMultiAuth(multiAuth), true);
+
+  const raw = readFileSync(accountsFile, "utf-8");
+  assert.equal(core.isEncrypted(JSON.parse(raw)), true);
+  assert.equal(raw.includes("rotated-access"), false);
+  assert.equal(core.getMultiAuth().accounts[0].access, "rotated-access");
+});
+
+test("an encrypted accounts file without its key is never overwritten", async () => {
+  process.env[core.PASSPHRASE_ENV] = "correct horse";
+  const envelope = core.encryptJSON(accounts);
+  writeFileSync(accountsFile, JSON.stringify(envelope));
+  delete process.env[core.PASSPHRASE_ENV];
+
+  assert.equal(core.readMultiAuthFile(accountsFile), null);
+  assert.throws(() => core.readMultiAuthFile(accountsFile, true), /Cannot decrypt/);
+  assert.equal(await core.saveMultiAuth({ accounts: [] }), false);
+  assert.deepEqual(JSON.parse(readFileSync(accountsFile, "utf-8")), envelope);
+});
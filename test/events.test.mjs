@@ -0,0 +1,72 @@
+import { test, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, mkdtempSync, mkdirSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+// Core resolves its files from the home directory when it is imported
+const home = mkdtempSync(join(tmpdir(), "multi-account-events-"));
+process.env.HOME = home;
+mkdirSync(join(home, ".config/opencode"), { recursive: true });
+const core = await import("../src/core.mjs");
+const { EVENT_LOG_FILE, EVENT_LOG_ROTATIONS } = core;
+
+function readEvents(file = EVENT_LOG_FILE) {
+  return readFileSync(file, "utf-8").trim().split("\n").filter(Boolean).map((line) => JSON.parse(line));
+}
+
+beforeEach(() => {
+  for (let i = 0; i <= EVENT_LOG_ROTATIONS + 1; i++) {
+    rmSync(i ? `${EVENT_LOG_FILE}.${i}` : EVENT_LOG_FILE, { force: true });
+  }
+  core.configure({ source: null, log: () => {} });
+});
+
+after(() => {
+  rmSync(home, { recursive: true, force: true });
+});
+
+test("events are appended as JSON lines tagged with the configured source", () => {
+  core.logEvent("refresh", { account: "a", ok: true });
+  core.configure({ source: "cli" });
+  core.logEvent("switch", { from: "a", to: "b", reason: "manual" });
+
+  const [refresh, manual] = readEvents();
+  assert.equal(typeof refresh.t, "number");
+  assert.deepEqual({ ...refresh, t: 0 }, { t: 0, type: "refresh", account: "a", ok: true });
+  assert.deepEqual({ ...manual, t: 0 }, { t: 0, type: "switch", source: "cli", from: "a", to: "b", reason: "manual" });
+});
+
+test("threshold switches and auth cooldowns are logged", () => {
+  const usage = { session5h: { utilization: 0.9, reset: Math.floor(Date.now() / 1000) + 3600 } };
+  const state = { currentAccount: "a", usage: { a: usage } };
+  const { account, plan } = core.chooseAccount([{ name: "a" }, { name: "b" }], state);
+  core.setCurrentAccount(state, account.name, "a", plan);
+  core.recordAuthFailure(state, "b", { status: 401 });
+
+  const [switched, authFailure] = readEvents();
+  assert.equal(switched.type, "switch");
+  assert.equal(switched.from, "a");
+  assert.equal(switched.to, "b");
+  assert.equal(switched.metric, "session5h");
+  assert.equal(authFailure.type, "auth_failure");
+  assert.equal(authFailure.account, "b");
+  assert.equal(authFailure.until, state.authFailures.b);
+});
+
+test("a full log rotates, keeping EVENT_LOG_ROTATIONS old files", () => {
+  const full = JSON.stringify({ t: 0, type: "refresh", pad: "x".repeat(1024 * 1024) }) + "\n";
+  for (let i = 1; i <= EVENT_LOG_ROTATIONS; i++) {
+    writeFileSync(`${EVENT_LOG_FILE}.${i}`, JSON.stringify({ t: i, type: "refresh" }) + "\n");
+  }
+  writeFileSync(EVENT_LOG_FILE, full);
+
+  core.logEvent("refresh", { account: "a", ok: true });
+
+  assert.equal(readEvents().length, 1);
+  assert.equal(readFileSync(`${EVENT_LOG_FILE}.1`, "utf-8"), full);
+  for (let i = 2; i <= EVENT_LOG_ROTATIONS; i++) {
+    assert.equal(readEvents(`${EVENT_LOG_FILE}.${i}`)[0].t, i - 1);
+  }
+  assert.equal(existsSync(`${EVENT_LOG_FILE}.${EVENT_LOG_ROTATIONS + 1}`), false);
+});
@@ -0,0 +1,150 @@
+import { test, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, mkdirSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+// The plugin resolves its files from the home directory when it is imported
+const home = mkdtempSync(join(tmpdir(), "multi-account-fetch-"));
+process.env.HOME = home;
+const configDir = join(home, ".config/opencode");
+mkdirSync(configDir, { recursive: true });
+const { AnthropicAuthPlugin } = await import("../src/index.mjs");
+
+const TOKEN_URL = "https://console.anthropic.com/v1/oauth/token";
+const MESSAGES_URL = "https://api.anthropic.com/v1/messages";
+const future = Date.now() + 3600000;
+const realFetch = globalThis.fetch;
+
+// Upstream calls as "Bearer <token>", "x-api-key", or "refresh <refresh token>"
+let calls = [];
+
+function mockUpstream(handler) {
+  globalThis.fetch = async (input, init) => {
+    const url = input.toString();
+    if (url === TOKEN_URL) {
+      const { refresh_token } = JSON.parse(init.body);
+      calls.push(`refresh ${refresh_token}`);
+      return handler.refresh?.(refresh_token) ?? new Response("{}", { status: 400 });
+    }
+    const headers = new Headers(init.headers);
+    const caller = headers.get("authorization") ?? (headers.has("x-api-key") ? "x-api-key" : "none");
+    calls.push(caller);
+    return handler.messages(caller);
+  };
+}
+
+function writeAccounts(accounts, extra = {}) {
+  writeFileSync(join(configDir, "anthropic-multi-account-accounts.json"), JSON.stringify({ accounts, ...extra }));
+}
+
+function writeState(state) {
+  writeFileSync(join(configDir, "anthropic-multi-account-state.json"), JSON.stringify(state));
+}
+
+function readState() {
+  return JSON.parse(readFileSync(join(configDir, "anthropic-multi-account-state.json"), "utf-8"));
+}
+
+async function loadFetch() {
+  const plugin = await AnthropicAuthPlugin({ client: { auth: { set: async () => {} } } });
+  const loaded = await plugin.auth.loader(async () => ({ type: "oauth", access: "x", refresh: "y", expires: future }), { models: {} });
+  return loaded.fetch;
+}
+
+function send(fetchWrapper) {
+  return fetchWrapper(MESSAGES_URL, { method: "POST", body: JSON.stringify({ model: "claude-sonnet-4-5", messages: [] }) });
+}
+
+const ok = () => new Response('{"ok":true}', { status: 200 });
+const throttled = () => new Response("{}", { status: 429, headers: { "retry-after": "30" } });
+
+beforeEach(() => {
+  calls = [];
+  writeState({});
+});
+
+after(() => {
+  globalThis.fetch = realFetch;
+  rmSync(home, { recursive: true, force: true });
+});
+
+test("a 429 replays the request on the next account", async () => {
+  writeAccounts([
+    { name: "a", access: "A", refresh: "ra", expires: future },
+    { name: "b", access: "B", refresh: "rb", expires: future },
+  ]);
+  mockUpstream({ messages: (caller) => (caller === "Bearer A" ? throttled() : ok()) });
+
+  const response = await send(await loadFetch());
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(calls, ["Bearer A", "Bearer B"]);
+  const state = readState();
+  assert.equal(state.currentAccount, "b");
+  assert.ok(state.rateLimited.a > Date.now());
+});
+
+test("a 429 followed by a failed refresh skips the account instead of sending its expired token", async () => {
+  writeAccounts([
+    { name: "a", access: "A", refresh: "ra", expires: future },
+    { name: "b", access: "B", refresh: "rb", expires: Date.now() - 1000 },
+    { name: "c", access: "C", refresh: "rc", expires: future },
+  ]);
+  mockUpstream({ messages: (caller) => (caller === "Bearer A" ? throttled() : ok()) });
+
+  const response = await send(await loadFetch());
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(calls, ["Bearer A", "refresh rb", "Bearer C"]);
+  assert.ok(readState().authFailures.b > Date.now());
+});
+
+test("a 429 followed by a failed refresh with no account left answers with an error", async () => {
+  writeAccounts([
+    { name: "a", access: "A", refresh: "ra", expires: future },
+    { name: "b", access: "B", refresh: "rb", expires: Date.now() - 1000 },
+  ]);
+  mockUpstream({ messages: (caller) => (caller === "Bearer A" ? throttled() : ok()) });
+
+  const response = await send(await loadFetch());
+
+  assert.equal(response.status, 401);
+  const body = await response.json();
+  assert.equal(body.error.type, "authentication_error");
+  assert.match(body.error.message, /Token refresh failed for b/);
+  assert.deepEqual(calls, ["Bearer A", "refresh rb"]);
+});
+
+test("a 429 followed by a failed refresh falls through to the overflow key", async () => {
+  writeAccounts(
+    [
+      { name: "a", access: "A", refresh: "ra", expires: future },
+      { name: "b", access: "B", refresh: "rb", expires: Date.now() - 1000 },
+    ],
+    { overflow: { key: "sk-overflow" } },
+  );
+  writeState({ config: { overflow: { dailyCap: 5 } } });
+  mockUpstream({ messages: (caller) => (caller === "Bearer A" ? throttled() : ok()) });
+
+  const response = await send(await loadFetch());
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(calls, ["Bearer A", "refresh rb", "x-api-key"]);
+});
+
+test("every account excluded answers with an error instead of throwing", async () => {
+  writeAccounts([
+    { name: "a", access: "A", refresh: "ra", expires: future },
+    { name: "b", access: "B", refresh: "rb", expires: future },
+  ]);
+  writeState({ excluded: { a: future, b: future } });
+  mockUpstream({ messages: ok });
+
+  const response = await send(await loadFetch());
+
+  assert.equal(response.status, 503);
+  const body = await response.json();
+  assert.match(body.error.message, /every account is excluded/);
+  assert.deepEqual(calls, []);
+});
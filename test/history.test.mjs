@@ -0,0 +1,75 @@
+import { test, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, mkdirSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+// Core resolves its files from the home directory when it is imported
+const home = mkdtempSync(join(tmpdir(), "multi-account-history-"));
+process.env.HOME = home;
+mkdirSync(join(home, ".config/opencode"), { recursive: true });
+const { HISTORY_FILE, captureUsageHeaders, compactHistory } = await import("../src/core.mjs");
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const reset = Math.floor((Date.now() + 2 * HOUR) / 1000);
+
+function readHistory() {
+  return readFileSync(HISTORY_FILE, "utf-8").trim().split("\n").filter(Boolean).map((line) => JSON.parse(line));
+}
+
+function headers(session, weekly) {
+  return new Headers({
+    "anthropic-ratelimit-unified-5h-utilization": String(session),
+    "anthropic-ratelimit-unified-5h-reset": String(reset),
+    "anthropic-ratelimit-unified-7d-utilization": String(weekly),
+    "anthropic-ratelimit-unified-7d-reset": String(reset + 86400),
+  });
+}
+
+beforeEach(() => {
+  writeFileSync(HISTORY_FILE, "");
+});
+
+after(() => {
+  rmSync(home, { recursive: true, force: true });
+});
+
+test("each usage update appends the metrics that changed", () => {
+  const state = {};
+  captureUsageHeaders(state, "a", headers(0.2, 0.5));
+  captureUsageHeaders(state, "a", headers(0.2, 0.5));
+  captureUsageHeaders(state, "a", headers(0.3, 0.5));
+
+  const samples = readHistory();
+  assert.equal(samples.length, 2);
+  assert.deepEqual(samples[0].u, { session5h: 0.2, weekly7d: 0.5 });
+  assert.deepEqual(samples[0].reset, { session5h: reset, weekly7d: reset + 86400 });
+  assert.equal(samples[1].account, "a");
+  assert.deepEqual(samples[1].u, { session5h: 0.3 });
+});
+
+test("compaction keeps one sample per minute for a day, then one per hour, for 30 days", () => {
+  const now = Date.UTC(2026, 9, 18, 12, 0, 30);
+  const lines = [
+    { t: now - 40 * DAY, account: "a", u: { session5h: 0.9 } },
+    { t: now - 3 * DAY - 50 * 60 * 1000, account: "a", u: { session5h: 0.1, weekly7d: 0.4 } },
+    { t: now - 3 * DAY - 40 * 60 * 1000, account: "a", u: { session5h: 0.2 } },
+    { t: now - 20 * 1000, account: "a", u: { session5h: 0.5 } },
+    { t: now - 10 * 1000, account: "a", u: { session5h: 0.6 } },
+    { t: now - 10 * 1000, account: "b", u: { session5h: 0.7 } },
+  ];
+  writeFileSync(HISTORY_FILE, lines.map((line) => JSON.stringify(line) + "\n").join("") + "not json\n");
+
+  compactHistory(now);
+
+  const samples = readHistory();
+  assert.deepEqual(
+    samples.map(({ t, account, u }) => ({ t, account, u })),
+    [
+      { t: now - 3 * DAY - 40 * 60 * 1000, account: "a", u: { session5h: 0.2, weekly7d: 0.4 } },
+      { t: now - 10 * 1000, account: "a", u: { session5h: 0.6 } },
+      { t: now - 10 * 1000, account: "b", u: { session5h: 0.7 } },
+    ],
+  );
+});
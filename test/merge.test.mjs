@@ -0,0 +1,119 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { mkdtempSync, mkdirSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+const CORE = new URL("../src/core.mjs", import.meta.url).href;
+const SAVES = 40;
+
+// One writer: loads the accounts file, saves state SAVES times, then adds its own account
+const WRITER = `
+const core = await import(process.env.CORE);
+const [name, increment] = [process.env.WRITER, Number(process.env.INCREMENT)];
+const multiAuth = core.getMultiAuth();
+for (let i = 0; i < ${SAVES}; i++) {
+  const state = core.getState();
+  state.requestCount = (state.requestCount || 0) + 1;
+  core.recordTokenUsage(state, name, "claude-sonnet-4-5", { input_tokens: increment });
+  await core.saveState(state);
+}
+multiAuth.accounts.push({ name, access: "access-" + name, refresh: "refresh-" + name, expires: Date.now() + 3600000 });
+await core.saveMultiAuth(multiAuth);
+`;
+
+function runWriter(home, name, increment) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ["--input-type=module", "-e", WRITER], {
+      env: { ...process.env, HOME: home, CORE, WRITER: name, INCREMENT: String(increment) },
+      stdio: ["ignore", "ignore", "inherit"],
+    });
+    child.on("error", reject);
+    child.on("exit", (code) => (code === 0 ? resolve() : reject(new Error(`writer ${name} exited with ${code}`))));
+  });
+}
+
+// Runs a script against core in its own process; resolves to its trimmed stdout
+function runScript(home, script) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ["--input-type=module", "-e", script], {
+      env: { ...process.env, HOME: home, CORE },
+      stdio: ["ignore", "pipe", "inherit"],
+    });
+    let stdout = "";
+    child.stdout.on("data", (chunk) => (stdout += chunk));
+    child.on("error", reject);
+    child.on("exit", (code) => (code === 0 ? resolve(stdout.trim()) : reject(new Error(`script exited with ${code}`))));
+  });
+}
+
+test("two writers racing on the state and accounts files lose no updates", async () => {
+  const home = mkdtempSync(join(tmpdir(), "multi-account-merge-"));
+  try {
+    const configDir = join(home, ".config/opencode");
+    mkdirSync(configDir, { recursive: true });
+    const seed = { name: "seed", access: "access-seed", refresh: "refresh-seed", expires: Date.now() + 3600000 };
+    writeFileSync(join(configDir, "anthropic-multi-account-accounts.json"), JSON.stringify({ accounts: [seed] }));
+
+    await Promise.all([runWriter(home, "a", 3), runWriter(home, "b", 5)]);
+
+    const state = JSON.parse(readFileSync(join(configDir, "anthropic-multi-account-state.json"), "utf-8"));
+    assert.equal(state.requestCount, 2 * SAVES);
+    assert.equal(state.tokens.a["claude-sonnet-4-5"].input, 3 * SAVES);
+    assert.equal(state.tokens.b["claude-sonnet-4-5"].input, 5 * SAVES);
+    assert.equal(state.tokens.a["claude-sonnet-4-5"].requests, SAVES);
+
+    const accounts = JSON.parse(readFileSync(join(configDir, "anthropic-multi-account-accounts.json"), "utf-8")).accounts;
+    assert.deepEqual(accounts.map((account) => account.name).sort(), ["a", "b", "seed"]);
+  } finally {
+    rmSync(home, { recursive: true, force: true });
+  }
+});
+
+test("an unpin racing another writer stays cleared", async () => {
+  const home = mkdtempSync(join(tmpdir(), "multi-account-merge-"));
+  try {
+    const configDir = join(home, ".config/opencode");
+    mkdirSync(configDir, { recursive: true });
+    const until = Date.now() + 3600000;
+    writeFileSync(join(configDir, "anthropic-multi-account-state.json"), JSON.stringify({ pin: { account: "a", until }, excluded: { b: until } }));
+
+    // The other writer loads before the unpin and saves after it, changing only its own entries
+    const state = JSON.parse(await runScript(home, `
+const core = await import(process.env.CORE);
+const other = core.getState();
+const unpin = core.getState();
+delete unpin.pin;
+delete unpin.excluded;
+await core.saveState(unpin);
+other.excluded.c = ${until};
+other.rateLimited = { a: ${until} };
+await core.saveState(other);
+console.log(JSON.stringify(core.getState()));
+`));
+
+    assert.equal(state.pin, undefined);
+    assert.deepEqual(state.excluded, { c: until });
+    assert.deepEqual(state.rateLimited, { a: until });
+  } finally {
+    rmSync(home, { recursive: true, force: true });
+  }
+});
+
+test("a save that cannot be written resolves to false", async () => {
+  const home = mkdtempSync(join(tmpdir(), "multi-account-merge-"));
+  try {
+    // A directory where the state file should be makes the write fail
+    mkdirSync(join(home, ".config/opencode/anthropic-multi-account-state.json"), { recursive: true });
+    const output = await runScript(home, `
+const core = await import(process.env.CORE);
+const state = core.getState();
+state.currentAccount = "a";
+console.log(JSON.stringify(await core.saveState(state)));
+`);
+    assert.equal(output, "false");
+  } finally {
+    rmSync(home, { recursive: true, force: true });
+  }
+});
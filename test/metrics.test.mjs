@@ -0,0 +1,58 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+// Core resolves its files from the home directory when it is imported
+const home = mkdtempSync(join(tmpdir(), "multi-account-metrics-"));
+process.env.HOME = home;
+const { renderMetrics } = await import("../src/core.mjs");
+
+after(() => {
+  rmSync(home, { recursive: true, force: true });
+});
+
+const state = {
+  currentAccount: "work",
+  usage: {
+    work: { session5h: { utilization: 0.42, reset: 1760000000 }, weekly7d: { utilization: 0.1, reset: null } },
+  },
+  counters: { work: { requests: 12, switches: 1, refreshFailures: 2 } },
+};
+
+test("Prometheus text has gauges per account and metric and _total counters", () => {
+  const lines = renderMetrics(state, ["work", "home"]).trim().split("\n");
+
+  for (const line of [
+    "# TYPE anthropic_multi_account_utilization gauge",
+    'anthropic_multi_account_utilization{account="work",metric="session5h"} 0.42',
+    'anthropic_multi_account_utilization{account="work",metric="weekly7d"} 0.1',
+    'anthropic_multi_account_reset_timestamp_seconds{account="work",metric="session5h"} 1760000000',
+    'anthropic_multi_account_active{account="work"} 1',
+    'anthropic_multi_account_active{account="home"} 0',
+    "# TYPE anthropic_multi_account_requests_total counter",
+    'anthropic_multi_account_requests_total{account="work"} 12',
+    'anthropic_multi_account_refresh_failures_total{account="work"} 2',
+    'anthropic_multi_account_auth_cooldowns_total{account="work"} 0',
+    'anthropic_multi_account_requests_total{account="home"} 0',
+  ]) {
+    assert.ok(lines.includes(line), `missing: ${line}`);
+  }
+  assert.equal(lines.some((line) => line.includes('metric="weekly7dSonnet"')), false);
+  assert.equal(lines.some((line) => line.includes('reset_timestamp_seconds{account="work",metric="weekly7d"}')), false);
+  assert.notEqual(lines.at(-1), "# EOF");
+});
+
+test("OpenMetrics names counter families without _total and ends with # EOF", () => {
+  const lines = renderMetrics(state, ["work"], true).trim().split("\n");
+
+  assert.ok(lines.includes("# TYPE anthropic_multi_account_requests counter"));
+  assert.ok(lines.includes('anthropic_multi_account_requests_total{account="work"} 12'));
+  assert.equal(lines.at(-1), "# EOF");
+});
+
+test("account names are escaped in labels", () => {
+  const text = renderMetrics({ currentAccount: 'a "quoted"\\name' }, ['a "quoted"\\name']);
+  assert.ok(text.includes('anthropic_multi_account_active{account="a \\"quoted\\"\\\\name"} 1'));
+});
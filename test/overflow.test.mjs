@@ -0,0 +1,77 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, mkdirSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+// Core resolves its files from the home directory when it is imported
+const home = mkdtempSync(join(tmpdir(), "multi-account-overflow-"));
+process.env.HOME = home;
+mkdirSync(join(home, ".config/opencode"), { recursive: true });
+const core = await import("../src/core.mjs");
+
+const MILLION = 1e6;
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date(2026, 9, 18, 12).getTime();
+
+function assertUsd(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+}
+
+after(() => {
+  rmSync(home, { recursive: true, force: true });
+});
+
+test("priceUsage charges input and output at the model's list price", () => {
+  const usage = { input_tokens: MILLION, output_tokens: MILLION };
+  assertUsd(core.priceUsage("claude-sonnet-4-5-20250929", usage), 3 + 15);
+  assertUsd(core.priceUsage("claude-opus-4-5", usage), 5 + 25);
+  assertUsd(core.priceUsage("claude-opus-4-1", usage), 15 + 75);
+  assertUsd(core.priceUsage("claude-haiku-4-5-20251001", usage), 1 + 5);
+  assertUsd(core.priceUsage("claude-3-5-haiku-latest", usage), 0.8 + 4);
+});
+
+test("priceUsage prices unknown models as Opus 4 and cache tokens relative to input", () => {
+  assertUsd(core.priceUsage("some-new-model", { input_tokens: MILLION }), 15);
+  assertUsd(core.priceUsage(null, { output_tokens: MILLION }), 75);
+  const cached = { cache_creation_input_tokens: MILLION, cache_read_input_tokens: MILLION };
+  assertUsd(core.priceUsage("claude-sonnet-4-5", cached), 3 * 1.25 + 3 * 0.1);
+});
+
+test("overflow spend adds up per local day and drops days past retention", () => {
+  const state = { overflow: { "2026-08-01": { requests: 3, cost: 1 } } };
+  core.recordOverflowUsage(state, "claude-sonnet-4-5", { input_tokens: MILLION, output_tokens: 0 }, now);
+  core.recordOverflowUsage(state, "claude-sonnet-4-5", { input_tokens: 0, output_tokens: MILLION, cache_read_input_tokens: 10 }, now);
+
+  assert.deepEqual(Object.keys(state.overflow), ["2026-10-18"]);
+  const today = state.overflow["2026-10-18"];
+  assert.equal(today.requests, 2);
+  assertUsd(today.cost, 18 + 10 * 0.3 / MILLION);
+  assert.equal(today.input, MILLION);
+  assert.equal(today.output, MILLION);
+  assert.equal(today.cacheRead, 10);
+});
+
+test("the overflow key is offered only while today's spend is under the daily cap", () => {
+  const multiAuth = { overflow: { key: "sk-ant-overflow" } };
+  assert.equal(core.getOverflowKey(multiAuth, { config: {} }, now), null);
+  assert.equal(core.getOverflowKey({}, { config: { overflow: { dailyCap: 5 } } }, now), null);
+
+  const state = { config: { overflow: { dailyCap: 5 } } };
+  assert.equal(core.getOverflowKey(multiAuth, state, now), "sk-ant-overflow");
+  core.recordOverflowUsage(state, "claude-opus-4-1", { output_tokens: 0.1 * MILLION }, now);
+  assert.equal(core.getOverflowKey(multiAuth, state, now), null);
+  assert.equal(core.getOverflowKey(multiAuth, state, now + DAY), "sk-ant-overflow");
+
+  const events = readFileSync(core.EVENT_LOG_FILE, "utf-8").trim().split("\n").map((line) => JSON.parse(line));
+  assert.deepEqual(events.map(({ type, spent, cap }) => ({ type, spent, cap })), [{ type: "overflow_cap", spent: 7.5, cap: 5 }]);
+});
+
+test("the daily status sums today's and the last week's spend", () => {
+  assert.equal(core.getOverflowStatus({}, now), null);
+  const state = {
+    config: { overflow: { dailyCap: 5 } },
+    overflow: { "2026-10-18": { requests: 2, cost: 1.5 }, "2026-10-12": { cost: 2 }, "2026-10-11": { cost: 4 } },
+  };
+  assert.deepEqual(core.getOverflowStatus(state, now), { dailyCap: 5, spentToday: 1.5, requestsToday: 2, spent7d: 3.5 });
+});
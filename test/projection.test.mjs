@@ -0,0 +1,70 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+// Core resolves its files from the home directory when it is imported
+const home = mkdtempSync(join(tmpdir(), "multi-account-projection-"));
+process.env.HOME = home;
+const { projectExhaustion, chooseAccount } = await import("../src/core.mjs");
+
+const MINUTE = 60 * 1000;
+const now = Date.now();
+
+after(() => {
+  rmSync(home, { recursive: true, force: true });
+});
+
+test("projectExhaustion extends the recent burn rate to 100%", () => {
+  // 20 points in 20 minutes from 60%: the remaining 40 points take 40 minutes
+  const samples = [[now - 20 * MINUTE, 0.4], [now, 0.6]];
+  assert.equal(projectExhaustion(samples, "session5h", 0.6, now), now + 40 * MINUTE);
+});
+
+test("projectExhaustion only looks back over the metric's window", () => {
+  // The session window looks back 30 minutes, so the sample an hour ago is ignored
+  const samples = [[now - 60 * MINUTE, 0], [now - 20 * MINUTE, 0.4], [now, 0.6]];
+  assert.equal(projectExhaustion(samples, "session5h", 0.6, now), now + 40 * MINUTE);
+});
+
+test("projectExhaustion needs two samples a few minutes apart", () => {
+  assert.equal(projectExhaustion(undefined, "session5h", 0.5, now), null);
+  assert.equal(projectExhaustion([[now, 0.5]], "session5h", 0.5, now), null);
+  assert.equal(projectExhaustion([[now - MINUTE, 0.4], [now, 0.5]], "session5h", 0.5, now), null);
+});
+
+test("projectExhaustion never runs out while utilization is flat or falling", () => {
+  assert.equal(projectExhaustion([[now - 20 * MINUTE, 0.5], [now, 0.5]], "session5h", 0.5, now), Infinity);
+  assert.equal(projectExhaustion([[now - 20 * MINUTE, 0.6], [now, 0.4]], "session5h", 0.4, now), Infinity);
+});
+
+// Primary at 60% (under the 70% default threshold), burning 1 point a minute, resetting in 3h
+function burningState(config = {}) {
+  const reset = Math.floor((now + 180 * MINUTE) / 1000);
+  const usage = (utilization) => ({
+    timestamp: new Date(now).toISOString(),
+    session5h: { utilization, reset },
+    weekly7d: { utilization: 0.1, reset: reset + 86400 },
+    weekly7dSonnet: { utilization: 0.1, reset: reset + 86400 },
+  });
+  return {
+    config,
+    currentAccount: "primary",
+    usage: { primary: usage(0.6), fallback: usage(0.1) },
+    burn: { primary: { session5h: [[now - 20 * MINUTE, 0.4], [now, 0.6]] } },
+  };
+}
+
+const accounts = [{ name: "primary" }, { name: "fallback" }];
+
+test("an account projected to run out within the hour is left while still under its threshold", () => {
+  const { account, plan } = chooseAccount(accounts, burningState());
+  assert.equal(account.name, "fallback");
+  assert.match(plan.change.message, /projected to run out before reset/);
+});
+
+test("predictive switching off keeps the account until it crosses its threshold", () => {
+  const { account } = chooseAccount(accounts, burningState({ predictive: false }));
+  assert.equal(account.name, "primary");
+});
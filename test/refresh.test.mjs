@@ -0,0 +1,109 @@
+import { test, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, mkdirSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+// Core resolves its files from the home directory when it is imported
+const home = mkdtempSync(join(tmpdir(), "multi-account-refresh-"));
+process.env.HOME = home;
+const configDir = join(home, ".config/opencode");
+mkdirSync(configDir, { recursive: true });
+const { ensureFreshAccountToken } = await import("../src/core.mjs");
+
+const realFetch = globalThis.fetch;
+const expired = () => ({ name: "a", access: "A", refresh: "ra", expires: Date.now() - 1000 });
+
+function readJSON(file) {
+  return JSON.parse(readFileSync(join(configDir, file), "utf-8"));
+}
+
+beforeEach(() => {
+  writeFileSync(join(configDir, "anthropic-multi-account-accounts.json"), JSON.stringify({ accounts: [expired()] }));
+  writeFileSync(join(configDir, "anthropic-multi-account-state.json"), "{}");
+});
+
+after(() => {
+  globalThis.fetch = realFetch;
+  rmSync(home, { recursive: true, force: true });
+});
+
+// Token endpoint that answers after a tick, counting the requests it gets
+let tokenRequests = 0;
+
+function mockTokenEndpoint() {
+  tokenRequests = 0;
+  globalThis.fetch = async (input, init) => {
+    const { refresh_token } = JSON.parse(init.body);
+    tokenRequests++;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    const body = { access_token: `access-${tokenRequests}`, refresh_token: `${refresh_token}-rotated`, expires_in: 3600 };
+    return new Response(JSON.stringify(body), { status: 200 });
+  };
+}
+
+function diskAccount() {
+  return readJSON("anthropic-multi-account-accounts.json").accounts[0];
+}
+
+test("parallel requests for an expired account share one refresh", async () => {
+  mockTokenEndpoint();
+  const callers = [expired(), expired(), expired()];
+
+  const results = await Promise.all(callers.map((account) => ensureFreshAccountToken(account)));
+
+  assert.equal(tokenRequests, 1);
+  assert.ok(results.every((result) => result.ok));
+  for (const account of callers) {
+    assert.equal(account.access, "access-1");
+    assert.equal(account.refresh, "ra-rotated");
+  }
+  assert.equal(diskAccount().refresh, "ra-rotated");
+});
+
+test("a token another process already rotated is adopted without spending the refresh token", async () => {
+  mockTokenEndpoint();
+  const rotated = { name: "a", access: "A2", refresh: "ra2", expires: Date.now() + 3600000 };
+  writeFileSync(join(configDir, "anthropic-multi-account-accounts.json"), JSON.stringify({ accounts: [rotated] }));
+  const stale = expired();
+
+  const result = await ensureFreshAccountToken(stale);
+
+  assert.equal(result.ok, true);
+  assert.equal(tokenRequests, 0);
+  assert.equal(stale.access, "A2");
+  assert.equal(stale.refresh, "ra2");
+});
+
+test("a token close to expiry is used right away and refreshed in the background", async () => {
+  mockTokenEndpoint();
+  const account = { ...expired(), expires: Date.now() + 60000 };
+
+  const result = await ensureFreshAccountToken(account);
+
+  assert.deepEqual(result, { ok: true });
+  assert.equal(account.access, "A");
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.equal(tokenRequests, 1);
+  assert.equal(diskAccount().access, "access-1");
+});
+
+test("a refresh that fails with an HTTP error counts as a refresh failure", async () => {
+  globalThis.fetch = async () => new Response("{}", { status: 400 });
+
+  const result = await ensureFreshAccountToken(expired());
+
+  assert.deepEqual(result, { ok: false, status: 400 });
+  assert.equal(readJSON("anthropic-multi-account-state.json").counters.a.refreshFailures, 1);
+});
+
+test("a refresh that fails with a network error counts as a refresh failure", async () => {
+  globalThis.fetch = async () => {
+    throw new TypeError("fetch failed");
+  };
+
+  const result = await ensureFreshAccountToken(expired());
+
+  assert.deepEqual(result, { ok: false, status: 0 });
+  assert.equal(readJSON("anthropic-multi-account-state.json").counters.a.refreshFailures, 1);
+});
@@ -0,0 +1,111 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+// Core resolves its files from the home directory when it is imported
+const home = mkdtempSync(join(tmpdir(), "multi-account-selection-"));
+process.env.HOME = home;
+const core = await import("../src/core.mjs");
+
+const future = Date.now() + 3600000;
+const accounts = [{ name: "a" }, { name: "b" }, { name: "c" }];
+
+after(() => {
+  rmSync(home, { recursive: true, force: true });
+});
+
+// Conversation affinity
+
+const conversation = {
+  system: [{ type: "text", text: "You are a coding agent." }],
+  messages: [{ role: "user", content: [{ type: "text", text: "Fix the build" }] }],
+};
+
+test("a conversation keeps its fingerprint as it grows and as cache markers move", () => {
+  const key = core.getConversationFingerprint(conversation);
+  const later = {
+    system: [{ type: "text", text: "You are a coding agent.", cache_control: { type: "ephemeral" } }],
+    messages: [
+      { role: "user", content: [{ type: "text", text: "Fix the build", cache_control: { type: "ephemeral" } }] },
+      { role: "assistant", content: "Done." },
+      { role: "user", content: "Thanks" },
+    ],
+  };
+  assert.match(key, /^[0-9a-f]{16}$/);
+  assert.equal(core.getConversationFingerprint(later), key);
+  assert.notEqual(core.getConversationFingerprint({ ...conversation, messages: [{ role: "user", content: "Other task" }] }), key);
+  assert.equal(core.getConversationFingerprint({ messages: [] }), null);
+});
+
+test("a conversation stays on the account that served it", () => {
+  const key = core.getConversationFingerprint(conversation);
+  const state = { config: { affinity: true }, currentAccount: "a" };
+  core.recordAffinity(state, key, "b");
+
+  const { account, routed } = core.chooseAccount(accounts, state, { conversation: key });
+  assert.equal(account.name, "b");
+  assert.equal(routed, true);
+  assert.equal(core.chooseAccount(accounts, state, { conversation: "another" }).account.name, "a");
+});
+
+test("affinity gives way when its account hits a hard limit", () => {
+  const key = core.getConversationFingerprint(conversation);
+  const state = { config: { affinity: true }, currentAccount: "a", rateLimited: { b: future } };
+  core.recordAffinity(state, key, "b");
+
+  assert.equal(core.chooseAccount(accounts, state, { conversation: key }).account.name, "a");
+  assert.equal(state.affinity[key], undefined);
+});
+
+test("affinity is off unless configured", () => {
+  const key = core.getConversationFingerprint(conversation);
+  const state = { config: {}, currentAccount: "a" };
+  core.recordAffinity(state, key, "b");
+
+  assert.equal(state.affinity, undefined);
+  assert.equal(core.chooseAccount(accounts, state, { conversation: key }).account.name, "a");
+});
+
+// Selection strategies
+
+function pick(strategy, state, pool = accounts) {
+  return core.chooseAccount(pool, { ...state, config: { strategy } }).account.name;
+}
+
+const usageAt = (utilization) => ({
+  session5h: { utilization, reset: Math.floor(future / 1000) },
+  weekly7d: { utilization: 0.1, reset: Math.floor(future / 1000) },
+});
+
+test("round-robin rotates through the accounts by request count", () => {
+  const picks = [0, 1, 2, 3].map((requestCount) => pick("round-robin", { requestCount }));
+  assert.deepEqual(picks, ["a", "b", "c", "a"]);
+});
+
+test("weighted rotation gives each account its weight's share", () => {
+  const pool = [{ name: "a", weight: 2 }, { name: "b" }];
+  const picks = [0, 1, 2, 3, 4, 5].map((requestCount) => pick("weighted", { requestCount }, pool));
+  assert.deepEqual(picks, ["a", "a", "b", "a", "a", "b"]);
+});
+
+test("least-utilized picks the account furthest from its threshold", () => {
+  const usage = { a: usageAt(0.5), b: usageAt(0.2), c: usageAt(0.4) };
+  assert.equal(pick("least-utilized", { usage }), "b");
+});
+
+test("rotations skip accounts that are cooling down or over threshold", () => {
+  const state = { usage: { a: usageAt(0.9) }, rateLimited: { b: future } };
+  assert.deepEqual([0, 1].map((requestCount) => pick("round-robin", { ...state, requestCount })), ["c", "c"]);
+});
+
+test("with every account over threshold a rotation falls back to the least utilized", () => {
+  const usage = { a: usageAt(0.95), b: usageAt(0.8), c: usageAt(0.9) };
+  assert.equal(pick("round-robin", { usage, requestCount: 0 }), "b");
+  assert.equal(pick("weighted", { usage, requestCount: 0 }), "b");
+});
+
+test("an unknown strategy falls back to primary-first", () => {
+  assert.equal(pick("fastest", { currentAccount: "a", requestCount: 1 }), "a");
+});